@@ -1,37 +1,192 @@
 import React, { useState, useEffect, useRef, useMemo } from "react";
-import * as tf from "@tensorflow/tfjs";
-import "@tensorflow/tfjs-backend-webgl"; // set backend to webgl
 import Loader from "./components/loader";
 import ButtonHandler from "./components/btn-handler";
-import { detect, detectVideo } from "./utils/detect";
-import { detectOBB, detectOBBVideo } from "./utils/detectOBB"; // 导入OBB检测函数
+import ModelSwitcher from "./components/model-switcher";
+import CustomModel from "./components/custom-model";
+import CacheManager from "./components/cache-manager";
+import BackendSwitcher from "./components/backend-switcher";
+import StatsPanel from "./components/stats-panel";
+import RegionPanel from "./components/region-panel";
+import RegionOverlay from "./components/region-overlay";
+import TargetSelector from "./components/target-selector";
+import ClassCounts from "./components/class-counts";
+import ExportPanel from "./components/export-panel";
+import BatchPanel from "./components/batch-panel";
+import CaptureControls from "./components/capture-controls";
+import ClassifierPicker from "./components/classifier-picker";
+import TopClasses from "./components/top-classes";
+import SlicingControls from "./components/slicing-controls";
+import { detect } from "./utils/inference";
+import { InferenceLoop } from "./utils/inferenceLoop";
+import { loadManifest, getModelUrl } from "./utils/models";
+import { loadModelSource, warmupModel } from "./utils/modelLoader";
+import { WorkerModel, isWorkerSupported } from "./utils/workerModel";
+import { DEFAULT_BACKEND, probeBackends, initBackend } from "./utils/backend";
+import "./utils/wasmPaths";
+import { PerfStats } from "./utils/stats";
+import { FlowCounter, countTargets } from "./utils/counting";
+import { getPersonClasses } from "./utils/metadata";
+import { DetectionLog } from "./utils/detectionLog";
+import { exportDetections, downloadFiles } from "./utils/exporters";
+import { Recorder, saveSnapshot } from "./utils/capture";
+import { DEFAULT_SLICING } from "./utils/slicing";
+import { DEFAULT_TTA } from "./utils/tta";
+import { DEFAULT_NMS_THRESHOLD as OBB_NMS_THRESHOLD } from "./utils/detectOBB";
 import "./style/App.css";
 
 const App = () => {
   const [loading, setLoading] = useState({ loading: true, progress: 0 }); // loading state
-  const [personCount, setPersonCount] = useState(0); // 添加人数计数state
-  const [modelName, setModelName] = useState("yolov8n"); // 默认使用yolov8n模型
+  const [classCounts, setClassCounts] = useState([]); // 当前帧各类别数量
+  const [topClasses, setTopClasses] = useState([]); // 分类模型的 top-K 结果
+  const [targetClasses, setTargetClasses] = useState([]); // 计数目标类别, 为空时统计全部类别
+  const [models, setModels] = useState([]); // models.json 中注册的模型
+  const [modelId, setModelId] = useState(null); // 当前模型 id
+  const [customName, setCustomName] = useState(null); // 自定义模型名称
   const [confThreshold, setConfThreshold] = useState(0.35); // 置信度阈值
-  const [nmsExponent, setNmsExponent] = useState(9); // NMS阈值的指数部分
+  const [nmsThreshold, setNmsThreshold] = useState(null); // NMS IoU 阈值, null 时使用任务的默认值
+  const [minMaskArea, setMinMaskArea] = useState(0); // 计数的最小掩码面积 (像素), 过滤被裁切的目标
+  const [useWorker, setUseWorker] = useState(false); // 在 Worker 中推理
+  const [tracking, setTracking] = useState(true); // 视频/摄像头目标跟踪
+  const [backends, setBackends] = useState([]); // 可选的推理后端
+  const [preferredBackend, setPreferredBackend] = useState(DEFAULT_BACKEND); // 用户选择的后端
+  const [activeBackend, setActiveBackend] = useState(null); // 实际使用的后端
+  const [regions, setRegions] = useState([]); // 计数线和计数区域
+  const [regionMode, setRegionMode] = useState(null); // 正在绘制的类型: line / zone
+  const [flowCounts, setFlowCounts] = useState([]); // 计数线和区域的统计
+  const [frameSize, setFrameSize] = useState([0, 0]); // 检测画面尺寸 (原图像素)
+  const [recording, setRecording] = useState(false); // 正在录制检测画面
+  const [classifierId, setClassifierId] = useState(null); // 二级分类模型 id
+  const [classifier, setClassifier] = useState(null); // 二级分类模型 { net, inputShape, metadata }
+  const [classifierLoading, setClassifierLoading] = useState(false);
+  const [slicingSettings, setSlicingSettings] = useState({ enabled: false, ...DEFAULT_SLICING }); // 切片检测设置
+  const [sliceProgress, setSliceProgress] = useState(null); // 切片检测进度 { done, total }
+  const [ttaSettings, setTtaSettings] = useState({ enabled: false, method: DEFAULT_TTA.method }); // 测试时增强设置
+  const stats = useMemo(() => new PerfStats(), []); // 性能统计
+  const counter = useMemo(() => new FlowCounter(), []); // 人流计数
+  const log = useMemo(() => new DetectionLog(), []); // 记录检测结果用于导出
+  const recorder = useMemo(() => new Recorder(), []); // 录制带检测框的视频
+  const regionIdRef = useRef(0);
+
+  // 每帧检测结果回调
+  const callbacks = {
+    onCountChange: (counts) => setClassCounts(counts), // 各类别数量
+    onClassify: (classes) => setTopClasses(classes), // 分类模型的 top-K
+    onStats: stats.record, // 每帧耗时和张量内存
+    onFlowChange: (counts, size) => {
+      setFlowCounts(counts);
+      setFrameSize((current) => (current[0] === size[0] && current[1] === size[1] ? current : size));
+    },
+  };
   const [model, setModel] = useState({
     net: null,
     inputShape: [1, 0, 0, 3],
-    onCountChange: (count) => setPersonCount(count), // 添加回调函数
+    metadata: null,
+    ...callbacks,
   }); // init model & input shape
 
-  // 计算实际的NMS阈值
-  const nmsThreshold = useMemo(() => {
-    return Math.pow(10, -nmsExponent);
-  }, [nmsExponent]);
-
   // references
   const imageRef = useRef(null);
   const cameraRef = useRef(null);
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
+  const loopRef = useRef(null); // 视频/摄像头检测循环
+  const sourceRef = useRef(null); // 当前模型来源, 切换 Worker 时重新加载
+  const imageRunRef = useRef(null); // 正在运行的图片检测 { controller, pending }
+  const imageArgsRef = useRef(null); // 最新的图片检测参数 { model, options }
+
+  // 检测参数
+  const detectOptions = useMemo(
+    () => ({
+      confThreshold,
+      nmsThreshold: nmsThreshold === null ? undefined : nmsThreshold, // undefined: 解码使用任务默认值
+      track: tracking,
+      counter,
+      targets: targetClasses,
+      minArea: minMaskArea,
+      classifier,
+      log,
+    }),
+    [confThreshold, nmsThreshold, tracking, targetClasses, minMaskArea, classifier]
+  );
+
+  // 切片检测参数, 只用于图片和批量检测 (视频逐帧切片太慢)
+  const slicing = useMemo(() => {
+    if (!slicingSettings.enabled) return null;
+    const { enabled, ...settings } = slicingSettings;
+    return {
+      ...settings,
+      onProgress: (done, total) => setSliceProgress(done < total ? { done, total } : null),
+    };
+  }, [slicingSettings]);
+
+  // 测试时增强参数, 只用于图片 (每张图推理三次)
+  const tta = useMemo(
+    () => (ttaSettings.enabled ? { method: ttaSettings.method } : null),
+    [ttaSettings]
+  );
+
+  // 图片检测参数, 切片检测优先于测试时增强
+  const imageOptions = useMemo(() => {
+    if (slicing) return { ...detectOptions, slicing };
+    if (tta) return { ...detectOptions, tta };
+    return detectOptions;
+  }, [detectOptions, slicing, tta]);
+
+  imageArgsRef.current = { model, options: imageOptions };
+
+  // 旋转框的NMS滑块在对数刻度上调整阈值, 清单中的任意阈值都按原值使用
+  const obbNmsThreshold = nmsThreshold === null ? OBB_NMS_THRESHOLD : nmsThreshold;
+
+  const activeEntry = models.find((entry) => entry.id === modelId);
+
+  // 目标类别的总数, 只统计人类别时显示为人数
+  const targetCount = countTargets(classCounts, targetClasses);
+  const countsPeople =
+    targetClasses.length > 0 &&
+    model.metadata &&
+    targetClasses.every((classId) => getPersonClasses(model.metadata.names).includes(classId));
+
+  // 使用模型的默认阈值
+  const applyThresholds = (entry) => {
+    setConfThreshold(entry.thresholds.conf);
+    setNmsThreshold(entry.thresholds.nms);
+  };
+
+  /**
+   * 加载模型网络, 启用 Worker 时在 Worker 中加载并预热, 不可用时回退到主线程
+   * @param {Object} source 模型来源, 见 loadModelSource
+   * @param {Object} options onProgress 回调, metadata defaults, inWorker 和 backend
+   * @returns {Promise<Object>} { net, metadata, inputShape, backend }, 主线程加载时没有 inputShape
+   */
+  const loadNet = async (source, { onProgress, defaults, inWorker, backend }) => {
+    if (inWorker && isWorkerSupported()) {
+      let workerModel = null;
+      try {
+        workerModel = new WorkerModel();
+        return await workerModel.load(source, { onProgress, defaults, backend });
+      } catch (error) {
+        if (workerModel) workerModel.dispose();
+        console.warn("Worker 推理不可用, 回退到主线程:", error);
+      }
+    }
+    const activeBackend = await initBackend(backend);
+    const result = await loadModelSource(source, { onProgress, defaults });
+    return { ...result, backend: activeBackend };
+  };
 
-  const loadModel = async (modelName) => {
+  /**
+   * 加载模型、预热并检查输出，所有模型来源共用
+   * @param {String} name 模型显示名称
+   * @param {Object} source 模型来源: { files }, { id, url } 或 { url }
+   * @param {Object} options metadata defaults, inWorker 和 backend (默认使用当前设置)
+   */
+  const loadModel = async (
+    name,
+    source,
+    { defaults = {}, inWorker = useWorker, backend = preferredBackend } = {}
+  ) => {
     setLoading({ loading: true, progress: 0 });
+    sourceRef.current = { name, source, defaults };
     
     // 清理旧模型
     if (model.net) {
@@ -39,76 +194,294 @@ const App = () => {
     }
     
     try {
-      const yolov8 = await tf.loadGraphModel(
-        `${window.location.href}/${modelName}_web_model/model.json`,
-        {
-          onProgress: (fractions) => {
-            setLoading({ loading: true, progress: fractions }); // set loading fractions
-          },
-        }
-      ); // load model
-
-      // 获取模型输入形状
-      const inputShape = yolov8.inputs[0].shape;
-      
-      // 根据输入形状创建适当的测试输入
-      const dummyInput = tf.ones(inputShape);
-      
+      const loaded = await loadNet(source, {
+        onProgress: (fractions) => {
+          setLoading({ loading: true, progress: fractions }); // set loading fractions
+        },
+        defaults,
+        inWorker,
+        backend,
+      });
+      const { net: yolov8, metadata, inputShape: workerShape } = loaded;
+      setActiveBackend(loaded.backend);
+
       try {
-        const warmupResults = yolov8.execute(dummyInput);
-        tf.dispose(warmupResults); // cleanup memory
+        const inputShape = workerShape || warmupModel(yolov8, metadata); // 预热并检查模型任务和输出形状
         
         setLoading({ loading: false, progress: 1 });
+        stats.reset();
         setModel({
           net: yolov8,
           inputShape: inputShape,
-          onCountChange: (count) => setPersonCount(count),
+          metadata: metadata,
+          ...callbacks,
         });
       } catch (execError) {
         console.error("模型执行测试失败:", execError);
+        yolov8.dispose(); // 释放无法使用的模型
         setLoading({ loading: false, progress: 0 });
-        alert(`模型 ${modelName} 测试执行失败，请尝试其他模型。错误: ${execError.message}`);
+        alert(`模型 ${name} 测试执行失败，请尝试其他模型。错误: ${execError.message}`);
       }
-
-      tf.dispose(dummyInput); // cleanup memory
     } catch (error) {
       console.error("模型加载失败:", error);
       setLoading({ loading: false, progress: 0 });
-      alert(`模型 ${modelName} 加载失败，请尝试其他模型。错误: ${error.message}`);
+      alert(`模型 ${name} 加载失败，请尝试其他模型。错误: ${error.message}`);
     }
   };
 
-  // 切换模型
-  const switchModel = (newModelName) => {
-    if (newModelName !== modelName) {
-      setModelName(newModelName);
-      
-      // 重置UI状态和资源
-      if (imageRef.current) {
-        imageRef.current.src = "#";
-        imageRef.current.style.display = "none";
-      }
-      
-      if (videoRef.current) {
-        videoRef.current.src = "";
-        videoRef.current.style.display = "none";
-      }
-      
-      if (cameraRef.current) {
-        cameraRef.current.srcObject = null;
-        cameraRef.current.style.display = "none";
+  // 加载二级分类模型, 对检测到的目标类别裁剪后分类
+  const loadClassifier = async (id) => {
+    setClassifierId(id);
+    if (classifier) classifier.net.dispose();
+    setClassifier(null);
+
+    const entry = models.find((item) => item.id === id);
+    if (!entry) return;
+    setClassifierLoading(true);
+    try {
+      const { net, metadata } = await loadModelSource(
+        { id: entry.id, url: getModelUrl(entry) },
+        { defaults: { task: entry.task } }
+      );
+      try {
+        if (metadata.task !== "classify") throw new Error(`${entry.name} 不是分类模型`);
+        const inputShape = warmupModel(net, metadata);
+        setClassifier({ net, inputShape, metadata });
+      } catch (error) {
+        net.dispose();
+        throw error;
       }
+    } catch (error) {
+      console.error("分类模型加载失败:", error);
+      setClassifierId(null);
+      alert(`分类模型 ${entry.name} 加载失败。错误: ${error.message}`);
+    } finally {
+      setClassifierLoading(false);
+    }
+  };
+
+  // 加载 models.json 中注册的模型 (优先使用 indexeddb 缓存)
+  const loadEntry = (entry) =>
+    loadModel(
+      entry.name,
+      { id: entry.id, url: getModelUrl(entry) },
+      { defaults: { task: entry.task } }
+    );
+
+  // 开始检测视频/摄像头, 每个源只有一个检测循环
+  const startLoop = (source) => {
+    if (!loopRef.current || loopRef.current.source !== source) {
+      stopLoop();
+      resetCounts(); // 新的视频/摄像头会话
+      loopRef.current = new InferenceLoop(source, canvasRef.current, { model, options: detectOptions });
+    }
+    loopRef.current.update({ model, options: detectOptions });
+    loopRef.current.start();
+  };
+
+  // 停止检测循环
+  const stopLoop = () => {
+    if (loopRef.current) {
+      loopRef.current.stop();
+      loopRef.current = null;
+    }
+  };
+
+  // 重置计数线和区域的统计
+  const resetCounts = () => {
+    counter.reset();
+    setFlowCounts(counter.getCounts());
+  };
+
+  // 添加用户绘制的计数线或区域
+  const addRegion = (region) => {
+    const id = ++regionIdRef.current;
+    const name = `${region.type === "line" ? "计数线" : "区域"} ${id}`;
+    setRegions([...regions, { ...region, id, name }]);
+    setRegionMode(null);
+  };
+
+  // 导出记录的检测结果
+  const exportLog = (format) => {
+    const files = exportDetections(format, log.getFrames(), model.metadata.names, log.sourceName);
+    downloadFiles(files, `${log.sourceName}_${format}`).catch((error) => {
+      console.error("导出失败:", error);
+      alert(`导出失败: ${error.message}`);
+    });
+  };
+
+  // 当前显示的图像/视频/摄像头, 没有时返回 null
+  const getActiveSource = () =>
+    [imageRef.current, videoRef.current, cameraRef.current].find(
+      (source) => source && source.style.display === "block"
+    ) || null;
+
+  // 保存当前画面和检测框为 PNG
+  const takeSnapshot = () => {
+    const source = getActiveSource();
+    if (!source) {
+      alert("请先打开图片、视频或摄像头");
+      return;
+    }
+    saveSnapshot(source, canvasRef.current, log.getFrameName(source)).catch((error) => {
+      console.error("截图失败:", error);
+      alert(`截图失败: ${error.message}`);
+    });
+  };
+
+  // 停止录制并下载 WebM
+  const stopRecording = () => {
+    if (!recorder.recording) return;
+    const name = `${log.sourceName}_annotated`;
+    setRecording(false);
+    recorder
+      .stop()
+      .then((blob) => downloadFiles([{ name: `${name}.webm`, content: blob }], name))
+      .catch((error) => {
+        console.error("录制保存失败:", error);
+        alert(`录制保存失败: ${error.message}`);
+      });
+  };
+
+  // 开始/停止录制视频或摄像头的检测画面
+  const toggleRecording = () => {
+    if (recorder.recording) {
+      stopRecording();
+      return;
+    }
+    const source = getActiveSource();
+    if (!source || source === imageRef.current) {
+      alert("请先打开视频或摄像头");
+      return;
+    }
+    try {
+      recorder.start(source, canvasRef.current);
+      setRecording(true);
+    } catch (error) {
+      console.error("录制失败:", error);
+      alert(`录制失败: ${error.message}`);
+    }
+  };
+
+  // 取消正在运行的图片检测: 不再绘制旧图片的结果, 也不再重新检测
+  const cancelImageRun = () => {
+    if (!imageRunRef.current) return;
+    imageRunRef.current.controller.abort();
+    imageRunRef.current.pending = false;
+  };
+
+  // 图片/视频/摄像头关闭或播放结束: 取消图片检测, 停止检测循环, 保存录制
+  const closeStream = () => {
+    cancelImageRun();
+    stopRecording();
+    stopLoop();
+  };
+
+  // 重置UI状态和资源
+  const resetSources = () => {
+    closeStream();
+
+    if (imageRef.current) {
+      imageRef.current.src = "#";
+      imageRef.current.style.display = "none";
+    }
+    
+    if (videoRef.current) {
+      videoRef.current.src = "";
+      videoRef.current.style.display = "none";
+    }
+    
+    if (cameraRef.current) {
+      cameraRef.current.srcObject = null;
+      cameraRef.current.style.display = "none";
+    }
+    
+    // 清除画布
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+    
+    // 重置人数计数和性能统计
+    setClassCounts([]);
+    setTopClasses([]);
+    stats.reset();
+    resetCounts();
+    log.clear();
+  };
+
+  // 加载用户上传的模型文件
+  const loadCustomFiles = (files) => {
+    const folder = (files[0].webkitRelativePath || "").split("/")[0];
+    const name = folder || "自定义模型";
+    resetSources();
+    setModelId(null);
+    setCustomName(name);
+    setNmsThreshold(null); // 自定义模型使用任务默认的NMS阈值
+    loadModel(name, { files });
+  };
+
+  // 从 URL 加载自定义模型
+  const loadCustomUrl = (url) => {
+    const name = url.split("/").slice(-2, -1)[0] || url;
+    resetSources();
+    setModelId(null);
+    setCustomName(name);
+    setNmsThreshold(null); // 自定义模型使用任务默认的NMS阈值
+    loadModel(name, { url });
+  };
+
+  // 切换模型
+  const switchModel = (newModelId) => {
+    const entry = models.find((item) => item.id === newModelId);
+    if (entry && newModelId !== modelId) {
+      setModelId(newModelId);
+      applyThresholds(entry);
       
-      // 清除画布
-      const ctx = canvasRef.current.getContext('2d');
-      ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
-      
-      // 重置人数计数
-      setPersonCount(0);
-      
+      resetSources();
+
       // 加载新模型
-      loadModel(newModelName);
+      loadEntry(entry);
+    }
+  };
+
+  // 切换 Worker 推理, 在新的环境中重新加载当前模型
+  const toggleWorker = (checked) => {
+    setUseWorker(checked);
+    if (sourceRef.current) {
+      const { name, source, defaults } = sourceRef.current;
+      resetSources();
+      loadModel(name, source, { defaults, inWorker: checked });
+    }
+  };
+
+  // 切换推理后端, 在新的后端上重新加载当前模型
+  const switchBackend = (name) => {
+    setPreferredBackend(name);
+    if (sourceRef.current) {
+      const { name: modelName, source, defaults } = sourceRef.current;
+      resetSources();
+      loadModel(modelName, source, { defaults, backend: name });
+    }
+  };
+
+  // 检测图片, 同一时间只运行一次 (切片检测很慢, 拖动滑块会重复触发):
+  // 新的请求取消正在运行的检测 (不再绘制结果), 结束后用最新参数重新检测
+  const detectImage = () => {
+    const running = imageRunRef.current;
+    if (running) {
+      running.controller.abort();
+      running.pending = true;
+      return;
     }
+
+    const { model, options } = imageArgsRef.current;
+    const run = { controller: new AbortController(), pending: false };
+    imageRunRef.current = run;
+    const { signal } = run.controller;
+    detect(imageRef.current, model, canvasRef.current, { ...options, signal }, () => {
+      imageRunRef.current = null;
+      setSliceProgress(null);
+      if (run.pending) detectImage();
+    });
   };
 
   // 重新检测当前图像/视频的函数
@@ -118,118 +491,178 @@ const App = () => {
     // 检查当前激活的媒体元素
     if (imageRef.current && imageRef.current.style.display !== 'none' && imageRef.current.src !== '#') {
       // 重新检测图像
-      const detectFunc = getDetectFunction(true);
-      detectFunc(imageRef.current, model, canvasRef.current);
+      detectImage();
     } 
     else if (videoRef.current && videoRef.current.style.display !== 'none') {
-      // 重新检测视频（需要先暂停当前检测循环）
-      const detectFunc = getDetectFunction(false);
-      detectFunc(videoRef.current, model, canvasRef.current);
+      // 视频: 循环未运行时重新启动
+      startLoop(videoRef.current);
     }
     else if (cameraRef.current && cameraRef.current.style.display !== 'none') {
-      // 重新检测摄像头（需要先暂停当前检测循环）
-      const detectFunc = getDetectFunction(false);
-      detectFunc(cameraRef.current, model, canvasRef.current);
+      // 摄像头: 循环未运行时重新启动
+      startLoop(cameraRef.current);
     }
   };
 
-  // 根据模型类型选择合适的检测函数
-  const getDetectFunction = (isImage = false) => {
-    if (modelName.includes("obb")) {
-      return isImage ? 
-        (source, model, canvas) => detectOBB(source, model, canvas, confThreshold, nmsThreshold) : 
-        (source, model, canvas) => detectOBBVideo(source, model, canvas, confThreshold, nmsThreshold);
+  useEffect(() => {
+    probeBackends()
+      .then((available) => {
+        setBackends(available);
+        return loadManifest();
+      })
+      .then(({ models, defaultId }) => {
+        const entry = models.find((item) => item.id === defaultId);
+        setModels(models);
+        setModelId(defaultId);
+        applyThresholds(entry);
+        loadEntry(entry);
+      })
+      .catch((error) => {
+        console.error("模型清单加载失败:", error);
+        setLoading({ loading: false, progress: 0 });
+        alert(`模型清单 models.json 加载失败。错误: ${error.message}`);
+      });
+  }, []);
+
+  // 模型或阈值变化时更新运行中的检测循环
+  useEffect(() => {
+    if (loopRef.current) {
+      loopRef.current.update({ model, options: detectOptions });
     }
-    return isImage ? 
-      (source, model, canvas) => detect(source, model, canvas, confThreshold) : 
-      (source, model, canvas) => detectVideo(source, model, canvas, confThreshold);
-  };
+  }, [model, detectOptions]);
 
+  // 计数线/区域变化时更新计数器, 图像立即重新统计
   useEffect(() => {
-    tf.ready().then(() => {
-      loadModel(modelName);
-    });
-  }, []);
+    counter.setRegions(regions);
+    setFlowCounts(counter.getCounts());
+    if (model.net && !loopRef.current) handleRedetect();
+  }, [regions]);
 
-  // 当阈值变化时重新检测
+  // 切换模型后默认统计人 (模型没有人类别时统计全部类别)
   useEffect(() => {
-    if (model.net) {
+    setTargetClasses(model.metadata ? getPersonClasses(model.metadata.names) : []);
+  }, [model.metadata]);
+
+  // 开关跟踪后 track id 重新编号, 重新开始计数
+  useEffect(resetCounts, [tracking]);
+
+  // 当阈值或切片设置变化时重新检测图像
+  useEffect(() => {
+    if (model.net && !loopRef.current) {
       handleRedetect();
     }
-  }, [confThreshold, nmsThreshold]);
+  }, [imageOptions]);
 
-  const obb_model = "yolov8n-obb"; // OBB模型名称
-  
   return (
     <div className="App">
       {loading.loading && <Loader>模型加载中... {(loading.progress * 100).toFixed(2)}%</Loader>}
       <div className="header">
         <h1>🎯 YOLO 实时人数检测系统</h1>
         <div style={{ fontSize: '24px', color: '#2ecc71', margin: '10px 0' }}>
-          当前检测到的人数: {personCount} 人
+          {countsPeople
+            ? `当前检测到的人数: ${targetCount} 人`
+            : `当前检测到的目标数: ${targetCount}`}
         </div>
+        {model.metadata && (
+          <TargetSelector
+            names={model.metadata.names}
+            targets={targetClasses}
+            onChange={setTargetClasses}
+          />
+        )}
+        <ClassCounts counts={classCounts} targets={targetClasses} />
+        <TopClasses classes={topClasses} />
+        <ExportPanel log={log} disabled={!model.metadata} onExport={exportLog} />
+        <RegionPanel
+          mode={regionMode}
+          regions={regions}
+          counts={flowCounts}
+          onModeChange={setRegionMode}
+          onRemove={(id) => setRegions(regions.filter((region) => region.id !== id))}
+          onReset={resetCounts}
+        />
         <p>
           基于 <code>tensorflow.js</code> 的浏览器端实时人数检测系统
         </p>
         <p>
-          当前模型: <code className="code">{modelName}</code>
+          当前模型: <code className="code">{activeEntry ? activeEntry.name : customName || "-"}</code>
+          {" "}后端: <code className="code">{activeBackend || "-"}</code>
+          {activeBackend && activeBackend !== preferredBackend && ` (${preferredBackend} 不可用, 已回退)`}
         </p>
-        <div className="model-switcher">
-          <button 
-            onClick={() => switchModel("yolov8n")} 
-            className={modelName === "yolov8n" ? "active" : ""}
-            disabled={loading.loading}
-            style={{color: modelName === "yolov8n" ? "white" : undefined}}
-          >
-            使用 yolov8n 模型
-          </button>
-          <button 
-            onClick={() => switchModel("best")} 
-            className={modelName === "best" ? "active" : ""}
-            disabled={loading.loading}
-            style={{color: modelName === "best" ? "white" : undefined}}
-          >
-            使用人体检测模型
-          </button>
-          <button
-            onClick={() => switchModel(obb_model)}
-            className={modelName === obb_model ? "active" : ""}
-            disabled={loading.loading}
-            style={{color: modelName === "obb_model" ? "white" : undefined}}
-          >
-            使用 {obb_model} 模型
-          </button>
-           <div className="model-switcher" style={{ marginTop: '15px' }}>
-          <button
-            onClick={() => switchModel("yolo11n-obb")}
-            className={modelName === "yolo11n-obb" ? "active" : ""}
-            disabled={loading.loading}
-            style={{
-              backgroundColor: '#3498db',
-              color: modelName === "yolo11n-obb" ? "white" : undefined,
-              padding: '8px 15px',
-              borderRadius: '4px',
-              border: 'none',
-              cursor: loading.loading ? 'not-allowed' : 'pointer'
-            }}
-          >
-            使用 yolo11n-obb 模型
-          </button>
-        </div>
+        <ModelSwitcher
+          models={models}
+          activeId={modelId}
+          disabled={loading.loading}
+          onSelect={switchModel}
+        >
           <button
+            className="redetect"
             onClick={handleRedetect}
             disabled={loading.loading || !model.net}
-            style={{
-              backgroundColor: '#e74c3c',
-              color: 'white',
-              marginLeft: '10px',
-              padding: '8px 15px',
-              cursor: loading.loading || !model.net ? 'not-allowed' : 'pointer'
-            }}
           >
             重新检测
           </button>
-        </div>
+        </ModelSwitcher>
+        <CaptureControls
+          disabled={loading.loading || !model.net}
+          recording={recording}
+          onSnapshot={takeSnapshot}
+          onToggleRecord={toggleRecording}
+        />
+        {activeEntry && activeEntry.description && <p>{activeEntry.description}</p>}
+        <CustomModel
+          disabled={loading.loading}
+          onLoadFiles={loadCustomFiles}
+          onLoadUrl={loadCustomUrl}
+        />
+        <BatchPanel
+          model={model}
+          options={{
+            confThreshold,
+            nmsThreshold: detectOptions.nmsThreshold,
+            targets: targetClasses,
+            minArea: minMaskArea,
+            slicing: slicing && { ...slicing, onProgress: null }, // 批量检测显示图片进度
+          }}
+          disabled={loading.loading || !model.net}
+        />
+        <CacheManager refreshKey={model.net} />
+        <BackendSwitcher
+          backends={backends}
+          value={preferredBackend}
+          disabled={loading.loading}
+          onSelect={switchBackend}
+        />
+        <ClassifierPicker
+          models={models.filter((entry) => entry.task === "classify")}
+          value={classifierId}
+          loading={classifierLoading}
+          disabled={loading.loading}
+          onSelect={loadClassifier}
+        />
+        <SlicingControls
+          settings={slicingSettings}
+          progress={sliceProgress}
+          disabled={loading.loading}
+          onChange={setSlicingSettings}
+        />
+        <label className="toggle">
+          <input
+            type="checkbox"
+            checked={tracking}
+            onChange={(e) => setTracking(e.target.checked)}
+          />
+          目标跟踪 (视频/摄像头, 显示 ID 和轨迹)
+        </label>
+        <label className="toggle">
+          <input
+            type="checkbox"
+            checked={useWorker}
+            disabled={loading.loading || !isWorkerSupported()}
+            onChange={(e) => toggleWorker(e.target.checked)}
+          />
+          在 Worker 中推理 (界面更流畅)
+          {!isWorkerSupported() && " - 当前浏览器不支持"}
+        </label>
 
         {/* 添加阈值控制滑动条 */}
         <div className="threshold-controls" style={{ margin: '20px 0', padding: '15px', backgroundColor: '#f5f5f5', borderRadius: '8px' }}>
@@ -251,19 +684,19 @@ const App = () => {
             </div>
           </div>
 
-          {modelName.includes("obb") && (
+          {model.metadata && model.metadata.task === "obb" && (
             <div>
               <label htmlFor="nms-threshold" style={{ display: 'block', marginBottom: '8px', fontWeight: 'bold' }}>
-                NMS阈值: 1e-{nmsExponent} ({nmsThreshold.toExponential()})
+                NMS阈值: {obbNmsThreshold.toExponential(1)}
               </label>
               <input
                 id="nms-threshold"
                 type="range"
                 min="0"
                 max="12"
-                step="1"
-                value={nmsExponent}
-                onChange={(e) => setNmsExponent(parseInt(e.target.value))}
+                step="any"
+                value={-Math.log10(obbNmsThreshold)}
+                onChange={(e) => setNmsThreshold(Math.pow(10, -parseFloat(e.target.value)))}
                 style={{ width: '100%', maxWidth: '300px' }}
               />
               <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
@@ -271,6 +704,54 @@ const App = () => {
               </div>
             </div>
           )}
+
+          {model.metadata && model.metadata.task === "segment" && (
+            <div>
+              <label htmlFor="min-mask-area" style={{ display: 'block', marginBottom: '8px', fontWeight: 'bold' }}>
+                最小掩码面积: {minMaskArea} 像素
+              </label>
+              <input
+                id="min-mask-area"
+                type="range"
+                min="0"
+                max="20000"
+                step="500"
+                value={minMaskArea}
+                onChange={(e) => setMinMaskArea(parseInt(e.target.value))}
+                style={{ width: '100%', maxWidth: '300px' }}
+              />
+              <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                掩码小于该面积的目标 (如被画面边缘截断的人) 不参与计数，仍会显示
+              </div>
+            </div>
+          )}
+
+          <div className="tta-controls">
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={ttaSettings.enabled}
+                disabled={slicingSettings.enabled}
+                onChange={(e) => setTtaSettings({ ...ttaSettings, enabled: e.target.checked })}
+              />
+              测试时增强 (TTA, 翻转+多尺度, 仅图片)
+            </label>
+            {ttaSettings.enabled && (
+              <select
+                value={ttaSettings.method}
+                disabled={slicingSettings.enabled}
+                onChange={(e) => setTtaSettings({ ...ttaSettings, method: e.target.value })}
+              >
+                <option value="wbf">加权框融合 (WBF)</option>
+                <option value="nms">NMS</option>
+              </select>
+            )}
+            <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+              {slicingSettings.enabled
+                ? "切片检测开启时不使用测试时增强"
+                : "每张图片推理三次，召回率更高但更慢；支持检测、旋转框和姿态模型"}
+            </div>
+          </div>
         </div>
 
        
@@ -285,10 +766,7 @@ const App = () => {
           src="#"
           ref={imageRef}
           onLoad={() => {
-            if (model.net) {
-              const detectFunc = getDetectFunction(true);
-              detectFunc(imageRef.current, model, canvasRef.current);
-            }
+            if (model.net) detectImage();
           }}
         />
         <video
@@ -296,10 +774,7 @@ const App = () => {
           muted
           ref={cameraRef}
           onPlay={() => {
-            if (model.net) {
-              const detectFunc = getDetectFunction(false);
-              detectFunc(cameraRef.current, model, canvasRef.current);
-            }
+            if (model.net) startLoop(cameraRef.current);
           }}
         />
         <video
@@ -307,10 +782,7 @@ const App = () => {
           muted
           ref={videoRef}
           onPlay={() => {
-            if (model.net) {
-              const detectFunc = getDetectFunction(false);
-              detectFunc(videoRef.current, model, canvasRef.current);
-            }
+            if (model.net) startLoop(videoRef.current);
           }}
         />
         <canvas 
@@ -318,9 +790,24 @@ const App = () => {
           width={model.inputShape[1] || 640} 
           height={model.inputShape[2] || 640} 
         />
+        <RegionOverlay
+          mode={regionMode}
+          regions={regions}
+          counts={flowCounts}
+          width={frameSize[0]}
+          height={frameSize[1]}
+          onAdd={addRegion}
+        />
+        <StatsPanel stats={stats} />
       </div>
 
-      <ButtonHandler imageRef={imageRef} cameraRef={cameraRef} videoRef={videoRef} />
+      <ButtonHandler
+        imageRef={imageRef}
+        cameraRef={cameraRef}
+        videoRef={videoRef}
+        onOpen={log.setSource}
+        onClose={closeStream}
+      />
     </div>
   );
 };
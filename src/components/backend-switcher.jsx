@@ -0,0 +1,25 @@
+/**
+ * tensorflow.js backend selector, backends unavailable in this browser are disabled.
+ */
+const BackendSwitcher = ({ backends, value, disabled, onSelect }) => {
+  return (
+    <div className="backend-switcher">
+      <label htmlFor="backend">推理后端: </label>
+      <select
+        id="backend"
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onSelect(e.target.value)}
+      >
+        {backends.map((backend) => (
+          <option key={backend.name} value={backend.name} disabled={!backend.available}>
+            {backend.label}
+            {!backend.available && " (不可用)"}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default BackendSwitcher;
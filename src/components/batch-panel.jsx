@@ -0,0 +1,176 @@
+import { useState, useRef, useEffect } from "react";
+import { getDroppedFiles } from "../utils/files";
+import {
+  isImageFile,
+  runBatch,
+  sortResults,
+  getBatchClasses,
+  toExportFrames,
+} from "../utils/batch";
+import { EXPORT_FORMATS, exportDetections, downloadFiles } from "../utils/exporters";
+
+/**
+ * Detect many images at once (multi select or dropped folder), with a sortable result table
+ * and the annotations of the whole batch downloaded as a zip.
+ */
+const BatchPanel = ({ model, options, disabled }) => {
+  const [results, setResults] = useState([]); // 批量检测结果
+  const [progress, setProgress] = useState(null); // { done, total } 运行中的进度
+  const [sort, setSort] = useState({ key: "name", ascending: true }); // 排序列
+  const [dragging, setDragging] = useState(false); // drag over state
+  const controllerRef = useRef(null); // 取消运行中的批量检测
+  const inputFilesRef = useRef(null); // multi images input reference
+  const inputFolderRef = useRef(null); // folder input reference
+
+  // 切换模型或卸载时取消批量检测
+  useEffect(() => () => controllerRef.current && controllerRef.current.abort(), [model]);
+
+  const start = async (files) => {
+    const images = files.filter(isImageFile);
+    if (images.length === 0) {
+      alert("没有找到图片文件");
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setResults([]);
+    setProgress({ done: 0, total: images.length });
+
+    await runBatch(images, model, options, {
+      signal: controller.signal,
+      onProgress: (done, total, result) => {
+        setResults((current) => [...current, result]);
+        setProgress({ done, total });
+      },
+    });
+    if (controllerRef.current === controller) controllerRef.current = null;
+    setProgress(null);
+  };
+
+  const download = (format) => {
+    const files = exportDetections(format, toExportFrames(results), model.metadata.names, "batch");
+    downloadFiles(files, `batch_${format}`, { zip: true }).catch((error) => {
+      console.error("导出失败:", error);
+      alert(`导出失败: ${error.message}`);
+    });
+  };
+
+  // 点击表头排序, 再次点击切换升降序
+  const sortBy = (key) =>
+    setSort({ key, ascending: sort.key === key ? !sort.ascending : key === "name" });
+
+  const sortMark = (key) => (sort.key === key ? (sort.ascending ? " ▲" : " ▼") : "");
+
+  const running = progress !== null;
+  const classes = getBatchClasses(results);
+  const failed = results.filter((result) => result.error).length;
+
+  return (
+    <div
+      className={`batch-panel${dragging ? " dragging" : ""}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        if (!disabled && !running) setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragging(false);
+        if (!disabled && !running) getDroppedFiles(e.dataTransfer).then(start);
+      }}
+    >
+      <p>批量检测: 拖入图片或文件夹，或选择多张图片</p>
+
+      <input
+        type="file"
+        multiple
+        accept="image/*"
+        style={{ display: "none" }}
+        onChange={(e) => {
+          start(Array.from(e.target.files));
+          e.target.value = ""; // allow reselecting the same files
+        }}
+        ref={inputFilesRef}
+      />
+      <input
+        type="file"
+        webkitdirectory=""
+        style={{ display: "none" }}
+        onChange={(e) => {
+          start(Array.from(e.target.files));
+          e.target.value = "";
+        }}
+        ref={inputFolderRef}
+      />
+      <button disabled={disabled || running} onClick={() => inputFilesRef.current.click()}>
+        选择图片
+      </button>
+      <button disabled={disabled || running} onClick={() => inputFolderRef.current.click()}>
+        选择文件夹
+      </button>
+
+      {running && (
+        <div>
+          <progress value={progress.done} max={progress.total} /> {progress.done} / {progress.total}
+          <button onClick={() => controllerRef.current && controllerRef.current.abort()}>取消</button>
+        </div>
+      )}
+
+      {results.length > 0 && (
+        <>
+          <div>
+            已检测 {results.length} 张图片{failed > 0 && `, ${failed} 张失败`}:
+            {Object.entries(EXPORT_FORMATS).map(([format, label]) => (
+              <button key={format} disabled={running} onClick={() => download(format)}>
+                下载 {label} (zip)
+              </button>
+            ))}
+          </div>
+          <div className="batch-results">
+            <table>
+              <thead>
+                <tr>
+                  <th>预览</th>
+                  <th onClick={() => sortBy("name")}>文件{sortMark("name")}</th>
+                  <th onClick={() => sortBy("total")}>目标数{sortMark("total")}</th>
+                  {classes.map(({ classId, label }) => (
+                    <th key={classId} onClick={() => sortBy(classId)}>
+                      {label}
+                      {sortMark(classId)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sortResults(results, sort.key, sort.ascending).map((result) => (
+                  <tr key={result.name}>
+                    <td>
+                      {result.error ? "-" : <img src={result.thumbnail} alt={result.name} />}
+                    </td>
+                    <td>{result.name}</td>
+                    {result.error ? (
+                      <td colSpan={classes.length + 1} className="error">
+                        {result.error}
+                      </td>
+                    ) : (
+                      <>
+                        <td>{result.total}</td>
+                        {classes.map(({ classId }) => {
+                          const entry = result.counts.find((count) => count.classId === classId);
+                          return <td key={classId}>{entry ? entry.count : 0}</td>;
+                        })}
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
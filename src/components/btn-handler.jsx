@@ -1,7 +1,7 @@
 import { useState, useRef } from "react";
 import { Webcam } from "../utils/webcam";
 
-const ButtonHandler = ({ imageRef, cameraRef, videoRef }) => {
+const ButtonHandler = ({ imageRef, cameraRef, videoRef, onOpen = () => {}, onClose = () => {} }) => {
   const [streaming, setStreaming] = useState(null); // streaming state
   const inputImageRef = useRef(null); // video input reference
   const inputVideoRef = useRef(null); // video input reference
@@ -9,6 +9,7 @@ const ButtonHandler = ({ imageRef, cameraRef, videoRef }) => {
 
   // closing image
   const closeImage = () => {
+    onClose(); // cancel running detection
     const url = imageRef.current.src;
     imageRef.current.src = "#"; // restore image source
     URL.revokeObjectURL(url); // revoke url
@@ -20,6 +21,7 @@ const ButtonHandler = ({ imageRef, cameraRef, videoRef }) => {
 
   // closing video streaming
   const closeVideo = () => {
+    onClose(); // stop detection loop
     const url = videoRef.current.src;
     videoRef.current.src = ""; // restore video source
     URL.revokeObjectURL(url); // revoke url
@@ -37,6 +39,7 @@ const ButtonHandler = ({ imageRef, cameraRef, videoRef }) => {
         accept="image/*"
         style={{ display: "none" }}
         onChange={(e) => {
+          onOpen(e.target.files[0].name); // name used by exports
           const url = URL.createObjectURL(e.target.files[0]); // create blob url
           imageRef.current.src = url; // set video source
           imageRef.current.style.display = "block"; // show video
@@ -63,6 +66,7 @@ const ButtonHandler = ({ imageRef, cameraRef, videoRef }) => {
         style={{ display: "none" }}
         onChange={(e) => {
           if (streaming === "image") closeImage(); // closing image streaming
+          onOpen(e.target.files[0].name); // name used by exports
           const url = URL.createObjectURL(e.target.files[0]); // create blob url
           videoRef.current.src = url; // set video source
           videoRef.current.addEventListener("ended", () => closeVideo()); // add ended video listener
@@ -90,12 +94,14 @@ const ButtonHandler = ({ imageRef, cameraRef, videoRef }) => {
           if (streaming === null || streaming === "image") {
             // closing image streaming
             if (streaming === "image") closeImage();
+            onOpen("camera");
             webcam.open(cameraRef.current); // open webcam
             cameraRef.current.style.display = "block"; // show camera
             setStreaming("camera"); // set streaming to camera
           }
           // closing video streaming
           else if (streaming === "camera") {
+            onClose(); // stop detection loop
             webcam.close(cameraRef.current);
             cameraRef.current.style.display = "none";
             setStreaming(null);
@@ -0,0 +1,57 @@
+import { useState, useEffect } from "react";
+import { listCachedModels, removeCachedModel } from "../utils/modelCache";
+
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+/**
+ * List models cached in indexeddb and evict them.
+ */
+const CacheManager = ({ refreshKey }) => {
+  const [cached, setCached] = useState([]); // cached models
+
+  const refresh = () => {
+    listCachedModels()
+      .then(setCached)
+      .catch((error) => console.warn("Can't list cached models.", error));
+  };
+
+  const remove = (key) => {
+    removeCachedModel(key)
+      .catch((error) => console.warn("Can't remove cached model.", error))
+      .then(refresh);
+  };
+
+  useEffect(refresh, [refreshKey]);
+
+  const total = cached.reduce((sum, model) => sum + model.size, 0);
+
+  return (
+    <details className="cache-manager" onToggle={(e) => e.target.open && refresh()}>
+      <summary>
+        已缓存模型: {cached.length} 个 ({formatSize(total)})
+      </summary>
+      {cached.length === 0 ? (
+        <p>暂无缓存</p>
+      ) : (
+        <table>
+          <tbody>
+            {cached.map((model) => (
+              <tr key={model.key}>
+                <td>
+                  <code>{model.id}</code>
+                </td>
+                <td>{model.version}</td>
+                <td>{formatSize(model.size)}</td>
+                <td>
+                  <button onClick={() => remove(model.key)}>删除</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </details>
+  );
+};
+
+export default CacheManager;
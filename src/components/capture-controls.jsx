@@ -0,0 +1,26 @@
+import { isRecordingSupported } from "../utils/capture";
+
+/**
+ * Save the annotated view: png snapshot of the current frame and WebM recording of video / webcam.
+ */
+const CaptureControls = ({ disabled, recording, onSnapshot, onToggleRecord }) => {
+  const canRecord = isRecordingSupported();
+
+  return (
+    <div className="capture-controls">
+      <button onClick={onSnapshot} disabled={disabled}>
+        保存截图
+      </button>
+      <button
+        className={recording ? "recording" : ""}
+        onClick={onToggleRecord}
+        disabled={!canRecord || (disabled && !recording)}
+        title={canRecord ? "录制带检测框的视频/摄像头画面 (WebM)" : "当前浏览器不支持录制"}
+      >
+        {recording ? "● 停止录制" : "开始录制"}
+      </button>
+    </div>
+  );
+};
+
+export default CaptureControls;
@@ -0,0 +1,37 @@
+import { isTarget } from "../utils/counting";
+
+/**
+ * Per class count table of the current frame, target classes are highlighted.
+ */
+const ClassCounts = ({ counts, targets }) => {
+  if (counts.length === 0) return null;
+
+  const total = counts.reduce((sum, { count }) => sum + count, 0);
+
+  return (
+    <table className="class-counts">
+      <thead>
+        <tr>
+          <th>类别</th>
+          <th>数量</th>
+        </tr>
+      </thead>
+      <tbody>
+        {counts.map(({ classId, label, count }) => (
+          <tr key={classId} className={isTarget(classId, targets) ? "target" : ""}>
+            <td>{label}</td>
+            <td>{count}</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr>
+          <td>检测总数</td>
+          <td>{total}</td>
+        </tr>
+      </tfoot>
+    </table>
+  );
+};
+
+export default ClassCounts;
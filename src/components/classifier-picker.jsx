@@ -0,0 +1,27 @@
+/**
+ * Second stage classification model selector, listing the classify models of models.json.
+ */
+const ClassifierPicker = ({ models, value, loading, disabled, onSelect }) => {
+  return (
+    <div className="classifier-picker">
+      <label htmlFor="classifier">目标二级分类: </label>
+      <select
+        id="classifier"
+        value={value || ""}
+        disabled={disabled || loading || models.length === 0}
+        onChange={(e) => onSelect(e.target.value || null)}
+      >
+        <option value="">不使用</option>
+        {models.map((entry) => (
+          <option key={entry.id} value={entry.id}>
+            {entry.name}
+          </option>
+        ))}
+      </select>
+      {loading && " 加载中..."}
+      {models.length === 0 && " (models.json 中没有分类模型)"}
+    </div>
+  );
+};
+
+export default ClassifierPicker;
@@ -0,0 +1,81 @@
+import { useState, useRef } from "react";
+import { getDroppedFiles } from "../utils/files";
+
+/**
+ * Load user supplied model from local files (model.json + shards + metadata.yaml) or url.
+ */
+const CustomModel = ({ disabled, onLoadFiles, onLoadUrl }) => {
+  const [url, setUrl] = useState(""); // model.json url
+  const [dragging, setDragging] = useState(false); // drag over state
+  const inputFilesRef = useRef(null); // multi files input reference
+  const inputFolderRef = useRef(null); // folder input reference
+
+  const handleFiles = (files) => {
+    if (files.length > 0) onLoadFiles(files);
+  };
+
+  return (
+    <div
+      className={`custom-model${dragging ? " dragging" : ""}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        if (!disabled) setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragging(false);
+        if (!disabled) getDroppedFiles(e.dataTransfer).then(handleFiles);
+      }}
+    >
+      <p>加载自定义模型: 拖入模型文件夹，或选择 model.json、.bin 权重文件和 metadata.yaml</p>
+
+      <input
+        type="file"
+        multiple
+        accept=".json,.bin,.yaml,.yml"
+        style={{ display: "none" }}
+        onChange={(e) => {
+          handleFiles(Array.from(e.target.files));
+          e.target.value = ""; // allow reselecting the same files
+        }}
+        ref={inputFilesRef}
+      />
+      <input
+        type="file"
+        webkitdirectory=""
+        style={{ display: "none" }}
+        onChange={(e) => {
+          handleFiles(Array.from(e.target.files));
+          e.target.value = "";
+        }}
+        ref={inputFolderRef}
+      />
+      <button disabled={disabled} onClick={() => inputFilesRef.current.click()}>
+        选择文件
+      </button>
+      <button disabled={disabled} onClick={() => inputFolderRef.current.click()}>
+        选择文件夹
+      </button>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (url.trim() !== "") onLoadUrl(url.trim());
+        }}
+      >
+        <input
+          type="url"
+          placeholder="https://.../model.json"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+        />
+        <button type="submit" disabled={disabled || url.trim() === ""}>
+          从 URL 加载
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CustomModel;
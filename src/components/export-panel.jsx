@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+import { EXPORT_FORMATS } from "../utils/exporters";
+
+/**
+ * Export recorded detections for labelling tools, the frame count is refreshed twice per second.
+ */
+const ExportPanel = ({ log, disabled, onExport }) => {
+  const [frameCount, setFrameCount] = useState(log.frames.size);
+
+  useEffect(() => {
+    const id = setInterval(() => setFrameCount(log.frames.size), 500);
+    return () => clearInterval(id);
+  }, [log]);
+
+  return (
+    <div className="export-panel">
+      <span>已记录 {frameCount} 帧检测结果: </span>
+      {Object.entries(EXPORT_FORMATS).map(([format, label]) => (
+        <button
+          key={format}
+          onClick={() => onExport(format)}
+          disabled={disabled || frameCount === 0}
+        >
+          导出 {label}
+        </button>
+      ))}
+      <button
+        onClick={() => {
+          log.clear();
+          setFrameCount(0);
+        }}
+        disabled={frameCount === 0}
+      >
+        清空记录
+      </button>
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,23 @@
+/**
+ * Model switcher rendered from the model catalogue (models.json).
+ */
+const ModelSwitcher = ({ models, activeId, disabled, onSelect, children }) => {
+  return (
+    <div className="model-switcher">
+      {models.map((entry) => (
+        <button
+          key={entry.id}
+          onClick={() => onSelect(entry.id)}
+          className={entry.id === activeId ? "active" : ""}
+          disabled={disabled}
+          title={entry.description}
+        >
+          使用 {entry.name} 模型
+        </button>
+      ))}
+      {children}
+    </div>
+  );
+};
+
+export default ModelSwitcher;
@@ -0,0 +1,106 @@
+import { useEffect, useState } from "react";
+
+const COLORS = { line: "#f1c40f", zone: "#3498db" };
+
+/**
+ * SVG overlay drawing counting lines / zones and their counts, in source pixels like the canvas.
+ * In drawing mode clicks add points: 2 for a line, a zone is closed by clicking its first point.
+ */
+const RegionOverlay = ({ mode, regions, counts, width, height, onAdd }) => {
+  const [draft, setDraft] = useState([]); // points of the region being drawn
+
+  useEffect(() => setDraft([]), [mode]);
+
+  if (!width || !height) return null;
+
+  const fontSize = Math.max(width, height) / 40;
+  const snap = Math.max(width, height) / 50; // distance closing a zone on its first point
+  const countOf = (id) => counts.find((count) => count.id === id);
+
+  // 点击位置转换为原图像素坐标
+  const toSource = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return [
+      ((e.clientX - rect.left) / rect.width) * width,
+      ((e.clientY - rect.top) / rect.height) * height,
+    ];
+  };
+
+  const handleClick = (e) => {
+    const point = toSource(e);
+    if (mode === "line") {
+      if (draft.length === 0) setDraft([point]);
+      else {
+        onAdd({ type: "line", points: [draft[0], point] });
+        setDraft([]);
+      }
+    } else if (mode === "zone") {
+      const [x, y] = draft[0] || [];
+      if (draft.length >= 3 && Math.hypot(point[0] - x, point[1] - y) < snap) {
+        onAdd({ type: "zone", points: draft });
+        setDraft([]);
+      } else setDraft([...draft, point]);
+    }
+  };
+
+  return (
+    <svg
+      className={`region-overlay ${mode ? "drawing" : ""}`}
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      onClick={mode ? handleClick : undefined}
+      style={{ fontSize }}
+    >
+      {regions.map((region) => {
+        const count = countOf(region.id);
+        const color = COLORS[region.type];
+
+        if (region.type === "line") {
+          const [[x1, y1], [x2, y2]] = region.points;
+          const [mx, my] = [(x1 + x2) / 2, (y1 + y2) / 2];
+          const scale = fontSize / (Math.hypot(x2 - x1, y2 - y1) || 1);
+          const [nx, ny] = [-(y2 - y1) * scale, (x2 - x1) * scale]; // points to the "in" side
+          return (
+            <g key={region.id} stroke={color} fill={color}>
+              <line x1={x1} y1={y1} x2={x2} y2={y2} strokeWidth={fontSize / 5} />
+              <line x1={mx} y1={my} x2={mx + nx} y2={my + ny} strokeWidth={fontSize / 8} />
+              <text x={mx + nx} y={my + ny} stroke="none">
+                {region.name} 进 {count ? count.in : 0} / 出 {count ? count.out : 0}
+              </text>
+            </g>
+          );
+        }
+
+        const [x, y] = region.points[0];
+        return (
+          <g key={region.id} stroke={color} fill={color}>
+            <polygon
+              points={region.points.map((point) => point.join(",")).join(" ")}
+              fillOpacity={0.15}
+              strokeWidth={fontSize / 6}
+            />
+            <text x={x} y={y - fontSize / 3} stroke="none">
+              {region.name} {count ? count.occupancy : 0} 人
+            </text>
+          </g>
+        );
+      })}
+
+      {draft.length > 0 && (
+        <g stroke={COLORS[mode]} fill={COLORS[mode]}>
+          <polyline
+            points={draft.map((point) => point.join(",")).join(" ")}
+            fill="none"
+            strokeWidth={fontSize / 6}
+            strokeDasharray={fontSize / 2}
+          />
+          {draft.map(([px, py], i) => (
+            <circle key={i} cx={px} cy={py} r={fontSize / 4} />
+          ))}
+        </g>
+      )}
+    </svg>
+  );
+};
+
+export default RegionOverlay;
@@ -0,0 +1,44 @@
+/**
+ * Counting lines / zones controls and their totals, shown next to the person counter.
+ */
+const RegionPanel = ({ mode, regions, counts, onModeChange, onRemove, onReset }) => {
+  const countOf = (id) => counts.find((count) => count.id === id);
+  const toggle = (value) => onModeChange(mode === value ? null : value);
+
+  return (
+    <div className="region-panel">
+      <button className={mode === "line" ? "active" : ""} onClick={() => toggle("line")}>
+        画计数线
+      </button>
+      <button className={mode === "zone" ? "active" : ""} onClick={() => toggle("zone")}>
+        画计数区域
+      </button>
+      <button onClick={onReset} disabled={regions.length === 0}>
+        重置计数
+      </button>
+      {mode === "line" && <p>在画面上点击线的起点和终点, 箭头指向 "进" 的方向</p>}
+      {mode === "zone" && <p>在画面上依次点击区域顶点, 点击起点闭合区域</p>}
+
+      {regions.length > 0 && (
+        <ul>
+          {regions.map((region) => {
+            const count = countOf(region.id);
+            return (
+              <li key={region.id}>
+                {region.name}:{" "}
+                {region.type === "line"
+                  ? `进 ${count ? count.in : 0} / 出 ${count ? count.out : 0}`
+                  : `当前 ${count ? count.occupancy : 0} 人, 累计 ${count ? count.total : 0} 人`}
+                <button onClick={() => onRemove(region.id)} title="删除">
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RegionPanel;
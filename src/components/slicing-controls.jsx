@@ -0,0 +1,58 @@
+const TILE_SIZES = [512, 640, 1024, 2048];
+
+/**
+ * Sliced inference settings for large (aerial) images, with the progress of the running detection.
+ */
+const SlicingControls = ({ settings, progress, disabled, onChange }) => {
+  const { enabled, tileSize, overlap } = settings;
+
+  return (
+    <div className="slicing-controls">
+      <label className="toggle">
+        <input
+          type="checkbox"
+          checked={enabled}
+          disabled={disabled}
+          onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+        />
+        切片检测 (大图/航拍图像, 仅图片和批量检测)
+      </label>
+      {enabled && (
+        <div>
+          <label htmlFor="tile-size">切片尺寸: </label>
+          <select
+            id="tile-size"
+            value={tileSize}
+            disabled={disabled}
+            onChange={(e) => onChange({ ...settings, tileSize: parseInt(e.target.value) })}
+          >
+            {TILE_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size} x {size}
+              </option>
+            ))}
+          </select>
+          <label htmlFor="tile-overlap"> 重叠比例: {overlap.toFixed(2)} </label>
+          <input
+            id="tile-overlap"
+            type="range"
+            min="0"
+            max="0.5"
+            step="0.05"
+            value={overlap}
+            disabled={disabled}
+            onChange={(e) => onChange({ ...settings, overlap: parseFloat(e.target.value) })}
+          />
+        </div>
+      )}
+      {progress && (
+        <div>
+          切片检测中: <progress value={progress.done} max={progress.total} /> {progress.done} /{" "}
+          {progress.total}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SlicingControls;
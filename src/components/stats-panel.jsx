@@ -0,0 +1,43 @@
+import { useEffect, useState } from "react";
+
+const STAGE_LABELS = {
+  preprocess: "预处理",
+  inference: "推理",
+  decode: "解码+NMS",
+  render: "渲染",
+};
+
+const formatBytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/**
+ * Performance overlay, refreshed twice per second from the collected stats.
+ */
+const StatsPanel = ({ stats }) => {
+  const [snapshot, setSnapshot] = useState(stats.snapshot());
+
+  useEffect(() => {
+    const id = setInterval(() => setSnapshot(stats.snapshot()), 500);
+    return () => clearInterval(id);
+  }, [stats]);
+
+  if (snapshot.frames === 0) return null;
+
+  return (
+    <div className="stats-panel">
+      <div>FPS: {snapshot.fps > 0 ? snapshot.fps.toFixed(1) : "-"}</div>
+      {Object.entries(STAGE_LABELS).map(([stage, label]) => (
+        <div key={stage}>
+          {label}: {snapshot.timings[stage].toFixed(1)} ms
+        </div>
+      ))}
+      <div>
+        张量: {snapshot.memory.numTensors} ({formatBytes(snapshot.memory.numBytes)})
+      </div>
+      {snapshot.leak > 0 && (
+        <div className="leak">⚠ 张量数量持续增长 (+{snapshot.leak}), 可能存在内存泄漏</div>
+      )}
+    </div>
+  );
+};
+
+export default StatsPanel;
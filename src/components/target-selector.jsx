@@ -0,0 +1,37 @@
+/**
+ * Pick the classes counted in the header and by the counting lines / zones.
+ * No selected class means every class is counted.
+ */
+const TargetSelector = ({ names, targets, onChange }) => {
+  const toggle = (classId) =>
+    onChange(
+      targets.includes(classId)
+        ? targets.filter((target) => target !== classId)
+        : [...targets, classId].sort((a, b) => a - b)
+    );
+
+  return (
+    <details className="target-selector">
+      <summary>
+        计数目标类别: {targets.length === 0 ? "全部类别" : targets.map((id) => names[id]).join(", ")}
+      </summary>
+      <button onClick={() => onChange([])} disabled={targets.length === 0}>
+        统计全部类别
+      </button>
+      <div className="target-list">
+        {names.map((name, classId) => (
+          <label key={classId}>
+            <input
+              type="checkbox"
+              checked={targets.includes(classId)}
+              onChange={() => toggle(classId)}
+            />
+            {name}
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+export default TargetSelector;
@@ -0,0 +1,30 @@
+/**
+ * Top K classes of a classification model with their probability.
+ */
+const TopClasses = ({ classes }) => {
+  if (classes.length === 0) return null;
+
+  return (
+    <table className="top-classes">
+      <thead>
+        <tr>
+          <th>分类结果</th>
+          <th>概率</th>
+        </tr>
+      </thead>
+      <tbody>
+        {classes.map(({ classId, label, score }) => (
+          <tr key={classId}>
+            <td>{label}</td>
+            <td>
+              <span className="probability" style={{ width: `${score * 100}px` }} />
+              {(score * 100).toFixed(1)}%
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default TopClasses;
@@ -0,0 +1,70 @@
+import * as tf from "@tensorflow/tfjs";
+import "@tensorflow/tfjs-backend-webgl";
+import "@tensorflow/tfjs-backend-webgpu";
+import "@tensorflow/tfjs-backend-wasm"; // binaries location is set by the app, see wasmPaths.js
+
+export const DEFAULT_BACKEND = "webgl";
+
+// backends selectable in the ui
+export const BACKENDS = [
+  { name: "webgl", label: "WebGL" },
+  { name: "webgpu", label: "WebGPU (实验性)" },
+  { name: "wasm", label: "WASM" },
+  { name: "cpu", label: "CPU" },
+];
+
+// order tried when the selected backend fails, webgpu is never picked automatically
+const FALLBACK_ORDER = ["webgl", "wasm", "cpu"];
+
+// cheap checks of what the environment supports, without initialising the backends
+const PROBES = {
+  webgl: () => tf.env().getNumber("WEBGL_VERSION") > 0,
+  webgpu: async () =>
+    typeof navigator !== "undefined" &&
+    !!navigator.gpu &&
+    (await navigator.gpu.requestAdapter()) !== null,
+  wasm: () => typeof WebAssembly === "object",
+  cpu: () => true,
+};
+
+/**
+ * Check which backends can run in the current environment.
+ * @returns {Promise<Array[Object]>} `{ name, label, available }` of every backend
+ */
+export const probeBackends = () =>
+  Promise.all(
+    BACKENDS.map(async (backend) => {
+      let available = false;
+      try {
+        available = !!tf.findBackendFactory(backend.name) && (await PROBES[backend.name]());
+      } catch (error) {
+        console.warn(`Can't probe ${backend.name} backend.`, error);
+      }
+      return { ...backend, available };
+    })
+  );
+
+/**
+ * Set tensorflow.js backend, falling back to the next working backend.
+ * @param {String} preferred backend name
+ * @param {Array[String]} fallbacks backends tried in order when the preferred one fails
+ * @returns {Promise<String>} name of the active backend
+ */
+export const initBackend = async (preferred = DEFAULT_BACKEND, fallbacks = FALLBACK_ORDER) => {
+  const candidates = [preferred, ...fallbacks.filter((name) => name !== preferred)];
+
+  for (const name of candidates) {
+    if (!tf.findBackendFactory(name)) continue;
+    try {
+      if (await tf.setBackend(name)) {
+        await tf.ready();
+        return name;
+      }
+    } catch (error) {
+      console.warn(`Can't initialize ${name} backend.`, error);
+    }
+    console.warn(`Backend ${name} is unavailable, trying the next one.`);
+  }
+
+  throw new Error(`No tensorflow.js backend available, tried ${candidates.join(", ")}`);
+};
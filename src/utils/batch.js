@@ -0,0 +1,181 @@
+import { predict, predictSliced, renderResult } from "./inference";
+import { countByClass, countTargets, filterByArea } from "./counting";
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|bmp|gif|webp|avif)$/i;
+const THUMBNAIL_SIZE = 160; // longest thumbnail side in pixels
+
+/**
+ * @param {File} file
+ * @returns {Boolean} file is an image the browser can decode
+ */
+export const isImageFile = (file) =>
+  file.type ? file.type.startsWith("image/") : IMAGE_EXTENSIONS.test(file.name);
+
+/**
+ * Name of an image in the batch: its path inside the dropped / selected folder without extension.
+ * @param {File} file
+ * @returns {String}
+ */
+export const getImageName = (file) =>
+  (file.webkitRelativePath || file.name).replace(/\.[^./]*$/, "");
+
+/**
+ * Name of an image unique in the batch: `a.jpg` and `a.png` would share their table row key and
+ * label file, so a taken name gets the extension appended (`a_png`), then a counter.
+ * @param {File} file
+ * @param {Set[String]} used names already given in the batch, the new name is added
+ * @returns {String}
+ */
+const getUniqueName = (file, used) => {
+  const name = getImageName(file);
+  let unique = name;
+  if (used.has(unique)) {
+    unique = (file.webkitRelativePath || file.name).replace(/\.([^./]*)$/, "_$1");
+  }
+  for (let i = 2; used.has(unique); i++) unique = `${name}_${i}`;
+  used.add(unique);
+  return unique;
+};
+
+/**
+ * Draw source with its detections on a small canvas.
+ * @param {ImageBitmap} image decoded image
+ * @param {HTMLCanvasElement} overlay canvas holding the rendered detections at source size
+ * @returns {String} jpeg data url
+ */
+const renderThumbnail = (image, overlay) => {
+  const scale = Math.min(THUMBNAIL_SIZE / image.width, THUMBNAIL_SIZE / image.height, 1);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  ctx.drawImage(overlay, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", 0.8);
+};
+
+/**
+ * Run the model over image files one by one.
+ * A file that can't be decoded or detected gets an `error` and the batch goes on.
+ * @param {Array[File]} files image files
+ * @param {Object} model loaded model with its metadata
+ * @param {Object} options detection options (`confThreshold`, `nmsThreshold`), counted `targets`
+ * classes, `minArea` of counted masks and `slicing` options of sliced inference
+ * @param {Object} handlers `onProgress(done, total, result)` called after every image and
+ * an AbortSignal `signal` stopping the batch before the next image
+ * @returns {Promise<Array[Object]>} `{ name, fileName, width, height, detections, counts, total,
+ * thumbnail, error }` of the processed images in files order, names are unique in the batch and
+ * `fileName` is the path in the batch with its extension
+ */
+export const runBatch = async (files, model, options = {}, { onProgress, signal } = {}) => {
+  const { confThreshold, nmsThreshold, targets = [], minArea = 0, slicing } = options;
+  const overlay = document.createElement("canvas"); // detections drawn at source size
+  const results = [];
+  const names = new Set();
+
+  for (const file of files) {
+    if (signal && signal.aborted) break;
+
+    const name = getUniqueName(file, names);
+    const fileName = file.webkitRelativePath || file.name;
+    let image = null;
+    let result;
+    try {
+      image = await createImageBitmap(file);
+      const detectOptions = { confThreshold, nmsThreshold };
+      const { detections, width, height } = slicing
+        ? await predictSliced(image, model, detectOptions, slicing)
+        : await predict(image, model, detectOptions);
+      renderResult(overlay, { detections, width, height }, model);
+
+      const counts = countByClass(filterByArea(detections, minArea));
+      result = {
+        name,
+        fileName,
+        width,
+        height,
+        detections,
+        counts,
+        total: countTargets(counts, targets),
+        thumbnail: renderThumbnail(image, overlay),
+      };
+    } catch (error) {
+      console.error(`批量检测 ${file.name} 失败:`, error);
+      result = {
+        name,
+        fileName,
+        width: 0,
+        height: 0,
+        detections: [],
+        counts: [],
+        total: 0,
+        error: error.message,
+      };
+    } finally {
+      if (image) image.close(); // release bitmap memory
+    }
+
+    results.push(result);
+    if (onProgress) onProgress(results.length, files.length, result);
+  }
+
+  return results;
+};
+
+/**
+ * Count of a sort column: "total" for the target classes or a class id.
+ * @param {Object} result batch result
+ * @param {String|Number} key
+ * @returns {Number}
+ */
+const getCount = (result, key) => {
+  if (key === "total") return result.total;
+  const entry = result.counts.find(({ classId }) => classId === key);
+  return entry ? entry.count : 0;
+};
+
+/**
+ * Sort batch results by column, failed images always come last.
+ * @param {Array[Object]} results batch results
+ * @param {String|Number} key "name", "total" or a class id
+ * @param {Boolean} ascending sort order
+ * @returns {Array[Object]} sorted copy
+ */
+export const sortResults = (results, key, ascending = true) => {
+  const order = ascending ? 1 : -1;
+  return [...results].sort((a, b) => {
+    if (Boolean(a.error) !== Boolean(b.error)) return a.error ? 1 : -1;
+    if (key === "name") return order * a.name.localeCompare(b.name, undefined, { numeric: true });
+    return order * (getCount(a, key) - getCount(b, key)) || a.name.localeCompare(b.name);
+  });
+};
+
+/**
+ * Classes detected anywhere in the batch, used as table columns.
+ * @param {Array[Object]} results batch results
+ * @returns {Array[Object]} `{ classId, label }` sorted by class id
+ */
+export const getBatchClasses = (results) => {
+  const classes = new Map();
+  results.forEach(({ counts }) =>
+    counts.forEach(({ classId, label }) => classes.set(classId, { classId, label }))
+  );
+  return [...classes.values()].sort((a, b) => a.classId - b.classId);
+};
+
+/**
+ * Batch results as export frames, see `exportDetections`. Failed images are left out.
+ * @param {Array[Object]} results batch results
+ * @returns {Array[Object]} `{ name, fileName, width, height, detections }`
+ */
+export const toExportFrames = (results) =>
+  results
+    .filter((result) => !result.error)
+    .map(({ name, fileName, width, height, detections }) => ({
+      name,
+      fileName,
+      width,
+      height,
+      detections,
+    }));
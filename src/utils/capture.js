@@ -0,0 +1,129 @@
+import { downloadFiles } from "./exporters";
+
+const RECORDER_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+/**
+ * @param {HTMLImageElement|HTMLVideoElement} source
+ * @returns {Array[Number]} [width, height] of the source in pixels, 0 before it's loaded
+ */
+export const getSourceSize = (source) =>
+  source.videoWidth !== undefined
+    ? [source.videoWidth, source.videoHeight]
+    : [source.naturalWidth, source.naturalHeight];
+
+/**
+ * Draw source with the detections canvas layered over it.
+ * @param {HTMLImageElement|HTMLVideoElement} source displayed image or video
+ * @param {HTMLCanvasElement} overlay detections canvas
+ * @param {HTMLCanvasElement} canvas target canvas, resized to the source size
+ * @returns {HTMLCanvasElement} target canvas
+ */
+export const compositeFrame = (source, overlay, canvas) => {
+  const [width, height] = getSourceSize(source);
+  if (width === 0 || height === 0) return canvas; // source not loaded yet
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(source, 0, 0, width, height);
+  ctx.drawImage(overlay, 0, 0, width, height); // overlay is sized as the last detected frame
+  return canvas;
+};
+
+/**
+ * Save the annotated view of source as png.
+ * @param {HTMLImageElement|HTMLVideoElement} source displayed image or video
+ * @param {HTMLCanvasElement} overlay detections canvas
+ * @param {String} name file name without extension
+ */
+export const saveSnapshot = async (source, overlay, name) => {
+  const canvas = compositeFrame(source, overlay, document.createElement("canvas"));
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob((result) => (result ? resolve(result) : reject(new Error("Empty snapshot"))))
+  );
+  await downloadFiles([{ name: `${name}.png`, content: blob }], name);
+};
+
+/**
+ * @returns {String|null} first WebM type supported by MediaRecorder, null without MediaRecorder
+ */
+export const getRecorderType = () => {
+  if (typeof MediaRecorder === "undefined") return null;
+  return RECORDER_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+};
+
+/**
+ * Check the browser can record a canvas stream into WebM.
+ * @returns {Boolean}
+ */
+export const isRecordingSupported = () =>
+  getRecorderType() !== null &&
+  typeof HTMLCanvasElement !== "undefined" &&
+  typeof HTMLCanvasElement.prototype.captureStream === "function";
+
+/**
+ * Class to record the annotated view of a video or webcam.
+ * Source and detections are composited on a hidden canvas every animation frame,
+ * the canvas stream is encoded by MediaRecorder.
+ */
+export class Recorder {
+  constructor() {
+    this.recorder = null; // MediaRecorder while recording
+    this.chunks = []; // encoded data of the current recording
+    this.frameId = null; // composite loop
+  }
+
+  get recording() {
+    return this.recorder !== null;
+  }
+
+  /**
+   * Start recording.
+   * @param {HTMLVideoElement} source displayed video or webcam
+   * @param {HTMLCanvasElement} overlay detections canvas
+   * @param {Number} fps stream frame rate
+   */
+  start = (source, overlay, fps = 30) => {
+    if (this.recording) throw new Error("Already recording");
+    const mimeType = getRecorderType();
+    if (!mimeType) throw new Error("MediaRecorder can't record WebM in this browser");
+
+    const canvas = document.createElement("canvas");
+    const draw = () => {
+      compositeFrame(source, overlay, canvas);
+      this.frameId = requestAnimationFrame(draw);
+    };
+    draw(); // stream starts with the current frame
+
+    const chunks = []; // kept by this recorder until it stops
+    this.chunks = chunks;
+    this.recorder = new MediaRecorder(canvas.captureStream(fps), { mimeType });
+    this.recorder.ondataavailable = ({ data }) => {
+      if (data.size > 0) chunks.push(data);
+    };
+    this.recorder.start(1000); // flush data every second
+  };
+
+  /**
+   * Stop recording.
+   * @returns {Promise<Blob|null>} recorded WebM, null when not recording
+   */
+  stop = () =>
+    new Promise((resolve) => {
+      if (!this.recording) {
+        resolve(null);
+        return;
+      }
+
+      const { recorder, chunks } = this;
+      this.recorder = null;
+      cancelAnimationFrame(this.frameId);
+      recorder.onstop = () => {
+        recorder.stream.getTracks().forEach((track) => track.stop());
+        resolve(new Blob(chunks, { type: recorder.mimeType }));
+      };
+      recorder.stop();
+    });
+}
@@ -0,0 +1,161 @@
+import * as tf from "@tensorflow/tfjs";
+import { renderClasses } from "./renderBox";
+import { cornersToAABB } from "./geometry";
+import { isTarget } from "./counting";
+
+export const DEFAULT_TOP_K = 5;
+
+/**
+ * Center crop region of the source with the model input aspect ratio, like the Ultralytics
+ * classification transforms (resize the short side, then center crop).
+ * @param {Number} width source width
+ * @param {Number} height source height
+ * @param {Number} modelWidth model input width
+ * @param {Number} modelHeight model input height
+ * @returns {Array[Number]} [x1, y1, x2, y2] in source pixels
+ */
+export const getCenterCrop = (width, height, modelWidth, modelHeight) => {
+  const scale = Math.max(modelWidth / width, modelHeight / height);
+  const cropWidth = modelWidth / scale;
+  const cropHeight = modelHeight / scale;
+  const x1 = (width - cropWidth) / 2;
+  const y1 = (height - cropHeight) / 2;
+  return [x1, y1, x1 + cropWidth, y1 + cropHeight];
+};
+
+/**
+ * Crop regions of an image and resize them to the model input.
+ * @param {tf.Tensor3D} pixels source pixels [h, w, 3]
+ * @param {Array[Array[Number]]} regions [x1, y1, x2, y2] in source pixels
+ * @param {Array[Number]} inputShape model input shape [b, h, w, c]
+ * @returns {tf.Tensor4D} input [regions, h, w, 3] normalized to [0, 1]
+ */
+const cropRegions = (pixels, regions, inputShape) =>
+  tf.tidy(() => {
+    const [height, width] = pixels.shape;
+    const boxes = regions.map(([x1, y1, x2, y2]) => [
+      y1 / height,
+      x1 / width,
+      y2 / height,
+      x2 / width,
+    ]); // normalized [y1, x1, y2, x2]
+    return tf.image
+      .cropAndResize(pixels.expandDims(0), boxes, regions.map(() => 0), inputShape.slice(1, 3))
+      .div(255.0); // normalize
+  });
+
+/**
+ * Preprocess image / frame: center crop resized to the model input.
+ * @param {HTMLVideoElement|HTMLImageElement} source
+ * @param {Object} model loaded model with its input shape
+ * @returns input tensor and source size `{ width, height }`
+ */
+export const preprocess = (source, model) => {
+  let transform;
+  const input = tf.tidy(() => {
+    const pixels = tf.browser.fromPixels(source);
+    const [height, width] = pixels.shape;
+    transform = { width, height };
+    const [modelHeight, modelWidth] = model.inputShape.slice(1, 3);
+    const region = getCenterCrop(width, height, modelWidth, modelHeight);
+    return cropRegions(pixels, [region], model.inputShape);
+  });
+  return [input, transform];
+};
+
+/**
+ * Top K classes of every row of probabilities.
+ * @param {tf.Tensor2D} probabilities [rows, nc], the exported head already applies softmax
+ * @param {Array[String]} names class names
+ * @param {Number} topK classes kept per row
+ * @returns {Promise<Array[Array[Object]]>} `{ classId, label, score }` by descending score
+ */
+const getTopClasses = async (probabilities, names, topK) => {
+  const k = Math.min(topK, probabilities.shape[1]);
+  const { values, indices } = tf.topk(probabilities, k);
+  const [scores, classes] = await Promise.all([values.data(), indices.data()]);
+  tf.dispose([values, indices]);
+
+  return Array.from({ length: probabilities.shape[0] }, (_, row) =>
+    Array.from({ length: k }, (_, i) => {
+      const classId = classes[row * k + i];
+      return { classId, label: names[classId], score: scores[row * k + i] };
+    })
+  );
+};
+
+/**
+ * Decode YOLOv8 classification output.
+ * @param {Array[tf.Tensor]} outputs model outputs, first one shaped [b, nc]
+ * @param {Object} model loaded model with its metadata
+ * @param {Object} transform source size from preprocess
+ * @param {Object} options detection options: `topK`
+ * @returns {Promise<Object>} `{ detections, classes, width, height }`, detections is empty and
+ * classes holds the top K `{ classId, label, score }` of the source
+ */
+export const decode = async (outputs, model, transform, { topK = DEFAULT_TOP_K } = {}) => {
+  const [classes] = await getTopClasses(outputs[0], model.metadata.names, topK);
+  return { detections: [], classes, width: transform.width, height: transform.height };
+};
+
+/**
+ * Render the top classes of the source.
+ * @param {HTMLCanvasElement} canvasRef canvas reference, sized as the source
+ * @param {Array[Object]} detections decoded detections (empty)
+ * @param {Object} result decode result with the top `classes`
+ */
+export const render = (canvasRef, detections, result = {}) =>
+  renderClasses(canvasRef, result.classes || []);
+
+/**
+ * Check model output matches classification head [b, nc].
+ * @param {Array[Array[Number]]} outputShapes shapes of every model output
+ * @param {Object} metadata normalized metadata
+ * @returns {String} reason why output isn't supported, null if valid
+ */
+export const validateOutput = (outputShapes, metadata) => {
+  const [shape] = outputShapes;
+  const expected = metadata.names.length;
+  if (shape.length !== 2 || shape[1] !== expected)
+    return `expected output [1, ${expected}] (${expected} class probabilities), got [${shape}]`;
+  return null;
+};
+
+/**
+ * Second stage: classify the crop of every target detection with a classification model.
+ * @param {HTMLVideoElement|HTMLImageElement} source detected source
+ * @param {Object} classifier loaded classification model with its input shape and metadata
+ * @param {Array[Object]} detections decoded detections in source pixels
+ * @param {Object} options `targets` classes to classify (every class when empty) and `topK`
+ * @returns {Promise<Array[Object]>} detections, the classified ones with their top `classes`
+ */
+export const classifyDetections = async (
+  source,
+  classifier,
+  detections,
+  { targets = [], topK = DEFAULT_TOP_K } = {}
+) => {
+  const selected = detections.filter(({ classId }) => isTarget(classId, targets));
+  if (selected.length === 0) return detections;
+
+  tf.engine().startScope();
+  try {
+    const pixels = tf.browser.fromPixels(source);
+    const regions = selected.map(({ bbox, corners }) => bbox || cornersToAABB(corners));
+    const input = cropRegions(pixels, regions, classifier.inputShape);
+    const outputs = [];
+    for (let i = 0; i < regions.length; i++) {
+      // exported models have a fixed batch size of 1
+      const output = await classifier.net.executeAsync(input.slice([i], [1]));
+      outputs.push(Array.isArray(output) ? output[0] : output);
+    }
+    const rows = await getTopClasses(tf.concat(outputs), classifier.metadata.names, topK);
+
+    const classes = new Map(selected.map((detection, i) => [detection, rows[i]]));
+    return detections.map((detection) =>
+      classes.has(detection) ? { ...detection, classes: classes.get(detection) } : detection
+    );
+  } finally {
+    tf.engine().endScope();
+  }
+};
@@ -0,0 +1,188 @@
+import { boxCenter } from "./geometry";
+
+const POSITION_TTL = 300; // frames a track position is kept after the track was last seen
+
+/**
+ * Side of point relative to the directed line a => b, positive on the right side
+ * (screen coordinates, y pointing down).
+ * @param {Array[Number]} a line start [x, y]
+ * @param {Array[Number]} b line end [x, y]
+ * @param {Array[Number]} p point [x, y]
+ * @returns {Number} cross product
+ */
+const side = (a, b, p) => (b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]);
+
+/**
+ * Check if movement from => to crosses line segment a => b.
+ * @returns {Number} 1 crossing from the left to the right side, -1 the other way, 0 otherwise
+ */
+const getCrossing = ([a, b], from, to) => {
+  const s1 = side(a, b, from);
+  const s2 = side(a, b, to);
+  if (s1 === 0 || Math.sign(s1) === Math.sign(s2)) return 0;
+  const t1 = side(from, to, a);
+  const t2 = side(from, to, b);
+  if (t1 !== 0 && Math.sign(t1) === Math.sign(t2)) return 0; // passes outside the segment
+  return s2 > 0 ? 1 : -1;
+};
+
+/**
+ * Ray casting point in polygon test.
+ * @param {Array[Number]} point [x, y]
+ * @param {Array[Array[Number]]} polygon vertices [[x, y], ...]
+ * @returns {Boolean}
+ */
+export const isPointInPolygon = ([x, y], polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Count detections of every class.
+ * @param {Array[Object]} detections decoded detections
+ * @returns {Array[Object]} `{ classId, label, count }` sorted by class id
+ */
+export const countByClass = (detections) => {
+  const counts = new Map();
+  detections.forEach(({ classId, label }) => {
+    const entry = counts.get(classId) || { classId, label, count: 0 };
+    entry.count++;
+    counts.set(classId, entry);
+  });
+  return [...counts.values()].sort((a, b) => a.classId - b.classId);
+};
+
+/**
+ * Check class is counted.
+ * @param {Number} classId
+ * @param {Array[Number]} targets target class ids, every class is counted when empty
+ * @returns {Boolean}
+ */
+export const isTarget = (classId, targets = []) => targets.length === 0 || targets.includes(classId);
+
+/**
+ * Drop detections with a mask smaller than minArea (e.g. people cut by the frame border),
+ * detections without mask are kept.
+ * @param {Array[Object]} detections decoded detections, segmentation ones have their mask `area`
+ * @param {Number} minArea minimum mask area in source pixels, 0 keeps everything
+ * @returns {Array[Object]} counted detections
+ */
+export const filterByArea = (detections, minArea = 0) =>
+  minArea > 0
+    ? detections.filter(({ area }) => area === undefined || area >= minArea)
+    : detections;
+
+/**
+ * Total count of the target classes.
+ * @param {Array[Object]} classCounts result of `countByClass`
+ * @param {Array[Number]} targets target class ids, every class is counted when empty
+ * @returns {Number}
+ */
+export const countTargets = (classCounts, targets) =>
+  classCounts
+    .filter(({ classId }) => isTarget(classId, targets))
+    .reduce((total, { count }) => total + count, 0);
+
+/**
+ * Class to count people (or other target classes) flow through user drawn regions.
+ * Lines (`{ id, type: "line", points: [a, b] }`) count tracks crossing them, `in` when crossing
+ * from the left to the right side of a => b. Zones (`{ id, type: "zone", points }`) report the
+ * current occupancy and the total of distinct tracks seen inside. Points are in source pixels.
+ */
+export class FlowCounter {
+  /**
+   * @param {Array[Object]} regions counting lines and zones
+   */
+  constructor(regions = []) {
+    this.regions = regions;
+    this.reset();
+  }
+
+  /**
+   * Forget positions and totals, starting a new session.
+   */
+  reset = () => {
+    this.frame = 0;
+    this.positions = new Map(); // track id => `{ point, frame }`
+    this.counts = new Map(); // region id => `{ in, out }` or `{ occupancy, visitors }`
+    this.regions.forEach((region) => this.counts.set(region.id, this.emptyCount(region)));
+  };
+
+  /**
+   * @param {Object} region
+   * @returns {Object} count of a region without any traffic
+   */
+  emptyCount = (region) =>
+    region.type === "line" ? { in: 0, out: 0 } : { occupancy: 0, visitors: new Set() };
+
+  /**
+   * Replace regions, keeping the totals of the regions still present.
+   * @param {Array[Object]} regions counting lines and zones
+   */
+  setRegions = (regions) => {
+    const counts = new Map();
+    regions.forEach((region) => {
+      counts.set(region.id, this.counts.get(region.id) || this.emptyCount(region));
+    });
+    this.regions = regions;
+    this.counts = counts;
+  };
+
+  /**
+   * Count detections of a new frame.
+   * @param {Array[Object]} detections detections, line crossings need their `trackId`
+   * @param {Array[Number]} classes target class ids, every class is counted when empty
+   * @returns {Array[Object]} counts, see `getCounts`
+   */
+  update = (detections, classes = []) => {
+    this.frame++;
+    const targets = detections
+      .filter((detection) => isTarget(detection.classId, classes))
+      .map((detection) => ({ trackId: detection.trackId, point: boxCenter(detection) }));
+
+    this.regions.forEach((region) => {
+      const count = this.counts.get(region.id);
+      if (region.type === "line") {
+        targets.forEach(({ trackId, point }) => {
+          const previous = trackId !== undefined && this.positions.get(trackId);
+          if (!previous) return;
+          const crossing = getCrossing(region.points, previous.point, point);
+          if (crossing > 0) count.in++;
+          else if (crossing < 0) count.out++;
+        });
+      } else {
+        const inside = targets.filter(({ point }) => isPointInPolygon(point, region.points));
+        count.occupancy = inside.length;
+        inside.forEach(({ trackId }) => {
+          if (trackId !== undefined) count.visitors.add(trackId);
+        });
+      }
+    });
+
+    targets.forEach(({ trackId, point }) => {
+      if (trackId !== undefined) this.positions.set(trackId, { point, frame: this.frame });
+    });
+    this.positions.forEach(({ frame }, trackId) => {
+      if (this.frame - frame > POSITION_TTL) this.positions.delete(trackId);
+    });
+
+    return this.getCounts();
+  };
+
+  /**
+   * Current counts of every region.
+   * @returns {Array[Object]} `{ id, type, in, out }` for lines and
+   * `{ id, type, occupancy, total }` for zones
+   */
+  getCounts = () =>
+    this.regions.map(({ id, type }) => {
+      const count = this.counts.get(id);
+      if (type === "line") return { id, type, in: count.in, out: count.out };
+      return { id, type, occupancy: count.occupancy, total: count.visitors.size };
+    });
+}
@@ -1,75 +1,37 @@
 import * as tf from "@tensorflow/tfjs";
 import { renderBoxes } from "./renderBox";
-import labels from "./labels.json";
-
-const numClass = labels.length;
-
-const countPersons = (boxes, scores, classes, confThreshold = 0.5) => {
-  let count = 0;
-  for (let i = 0; i < scores.length; i++) {
-    if (classes[i] === 0 && scores[i] > confThreshold) { // 0通常是person类别，使用传入的置信度阈值
-      count++;
-    }
-  }
-  return count;
-};
+import { letterbox, toSourceBox } from "./letterbox";
 
 /**
  * Preprocess image / frame before forwarded into the model
  * @param {HTMLVideoElement|HTMLImageElement} source
- * @param {Number} modelWidth
- * @param {Number} modelHeight
- * @returns input tensor, xRatio and yRatio
+ * @param {Object} model loaded model with its input shape
+ * @returns input tensor and letterbox transform to source pixels
  */
-const preprocess = (source, modelWidth, modelHeight) => {
-  let xRatio, yRatio; // ratios for boxes
-
-  const input = tf.tidy(() => {
-    const img = tf.browser.fromPixels(source);
-
-    // padding image to square => [n, m] to [n, n], n > m
-    const [h, w] = img.shape.slice(0, 2); // get source width and height
-    const maxSize = Math.max(w, h); // get max size
-    const imgPadded = img.pad([
-      [0, maxSize - h], // padding y [bottom only]
-      [0, maxSize - w], // padding x [right only]
-      [0, 0],
-    ]);
-
-    xRatio = maxSize / w; // update xRatio
-    yRatio = maxSize / h; // update yRatio
-
-    return tf.image
-      .resizeBilinear(imgPadded, [modelWidth, modelHeight]) // resize frame
-      .div(255.0) // normalize
-      .expandDims(0); // add batch
-  });
-
-  return [input, xRatio, yRatio];
-};
+export const preprocess = (source, model) => letterbox(source, model.inputShape);
 
 /**
- * Function run inference and do detection from source.
- * @param {HTMLImageElement|HTMLVideoElement} source
- * @param {tf.GraphModel} model loaded YOLOv8 tensorflow.js model
- * @param {HTMLCanvasElement} canvasRef canvas reference
- * @param {Number} confThreshold confidence threshold
- * @param {VoidFunction} callback function to run after detection process
+ * Decode YOLOv8 detection output, filtering boxes with NMS.
+ * @param {Array[tf.Tensor]} outputs model outputs, first one shaped [b, 4 + nc, n]
+ * @param {Object} model loaded model with its metadata
+ * @param {Object} transform letterbox transform from preprocess
+ * @param {Object} options detection options: `confThreshold`, `nmsThreshold` IoU of the box NMS
+ * @returns {Promise<Object>} `{ detections, width, height }`, detections `bbox` is [x1, y1, x2, y2]
+ * in source pixels
  */
-export const detect = async (source, model, canvasRef, confThreshold = 0.25, callback = () => {}) => {
-  const [modelWidth, modelHeight] = model.inputShape.slice(1, 3); // get model width and height
+export const decode = async (
+  outputs,
+  model,
+  transform,
+  { confThreshold = 0.25, nmsThreshold = 0.45 } = {}
+) => {
+  const transRes = outputs[0].transpose([0, 2, 1]); // transpose result [b, det, n] => [b, n, det]
 
-  tf.engine().startScope(); // start scoping tf engine
-  const [input, xRatio, yRatio] = preprocess(source, modelWidth, modelHeight); // preprocess image
-
-  const res = model.net.execute(input); // inference model
-  const transRes = res.transpose([0, 2, 1]); // transpose result [b, det, n] => [b, n, det]
-  
   // Dynamically determine the number of classes from the model output
   const outputShape = transRes.shape;
   const totalOutputs = outputShape[2]; // Total number of outputs per detection
   const numClasses = totalOutputs - 4; // Subtract 4 for bbox coordinates (x, y, w, h)
-  
+
   const boxes = tf.tidy(() => {
     const w = transRes.slice([0, 0, 2], [-1, -1, 1]); // get width
     const h = transRes.slice([0, 0, 3], [-1, -1, 1]); // get height
@@ -85,15 +47,15 @@ export const detect = async (source, model, canvasRef, confThreshold = 0.25, cal
         ],
         2
       )
-      .squeeze();
+      .squeeze([0]);
   }); // process boxes [y1, x1, y2, x2]
 
   const [scores, classes] = tf.tidy(() => {
     // class scores - handle both single and multi-class models
     if (numClasses === 1) {
       // Single class model (like the "best" model)
-      const rawScores = transRes.slice([0, 0, 4], [-1, -1, 1]).squeeze();
-      const classes = tf.zeros(rawScores.shape, 'int32'); // All detections are class 0 (person)
+      const rawScores = transRes.slice([0, 0, 4], [-1, -1, 1]).squeeze([0, 2]);
+      const classes = tf.zeros(rawScores.shape, 'int32'); // All detections are class 0
       return [rawScores, classes];
     } else {
       // Multi-class model
@@ -102,47 +64,43 @@ export const detect = async (source, model, canvasRef, confThreshold = 0.25, cal
     }
   }); // get max scores and classes index
 
-  const nms = await tf.image.nonMaxSuppressionAsync(boxes, scores, 500, 0.45, confThreshold); // NMS to filter boxes with confThreshold
-
-  const boxes_data = boxes.gather(nms, 0).dataSync(); // indexing boxes by nms index
-  const scores_data = scores.gather(nms, 0).dataSync(); // indexing scores by nms index
-  const classes_data = classes.gather(nms, 0).dataSync(); // indexing classes by nms index
-
-  const count = countPersons(boxes_data, scores_data, classes_data, confThreshold);
-  if (model.onCountChange) {
-    model.onCountChange(count);
-  }
-
-  renderBoxes(canvasRef, boxes_data, scores_data, classes_data, [xRatio, yRatio]); // render boxes
-  tf.dispose([res, transRes, boxes, scores, classes, nms]); // clear memory
-
-  callback();
+  const nms = await tf.image.nonMaxSuppressionAsync(boxes, scores, 500, nmsThreshold, confThreshold); // NMS to filter boxes with confThreshold
+
+  const selected = [boxes, scores, classes].map((tensor) => tensor.gather(nms, 0)); // indexing by nms index
+  const [boxes_data, scores_data, classes_data] = selected.map((tensor) => tensor.dataSync());
+  tf.dispose([transRes, boxes, scores, classes, nms, ...selected]); // clear memory
+
+  const { names } = model.metadata;
+  const detections = Array.from(scores_data, (score, i) => {
+    const [y1, x1, y2, x2] = boxes_data.slice(i * 4, (i + 1) * 4);
+    return {
+      classId: classes_data[i],
+      label: names[classes_data[i]],
+      score: score,
+      bbox: toSourceBox([x1, y1, x2, y2], transform),
+    };
+  });
 
-  tf.engine().endScope(); // end of scoping
+  return { detections, width: transform.width, height: transform.height };
 };
 
 /**
- * Function to detect video from every source.
- * @param {HTMLVideoElement} vidSource video source
- * @param {tf.GraphModel} model loaded YOLOv8 tensorflow.js model
- * @param {HTMLCanvasElement} canvasRef canvas reference
- * @param {Number} confThreshold confidence threshold
+ * Render decoded detections.
+ * @param {HTMLCanvasElement} canvasRef canvas reference, sized as the source
+ * @param {Array[Object]} detections decoded detections
  */
-export const detectVideo = (vidSource, model, canvasRef, confThreshold = 0.25) => {
-  /**
-   * Function to detect every frame from video
-   */
-  const detectFrame = async () => {
-    if (vidSource.videoWidth === 0 && vidSource.srcObject === null) {
-      const ctx = canvasRef.getContext("2d");
-      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height); // clean canvas
-      return; // handle if source is closed
-    }
-
-    detect(vidSource, model, canvasRef, confThreshold, () => {
-      requestAnimationFrame(detectFrame); // get another frame
-    });
-  };
+export const render = (canvasRef, detections) => renderBoxes(canvasRef, detections);
 
-  detectFrame(); // initialize to detect every frame
+/**
+ * Check model output matches detection head [b, 4 + nc, n].
+ * @param {Array[Array[Number]]} outputShapes shapes of every model output
+ * @param {Object} metadata normalized metadata
+ * @returns {String} reason why output isn't supported, null if valid
+ */
+export const validateOutput = (outputShapes, metadata) => {
+  const [shape] = outputShapes;
+  const expected = 4 + metadata.names.length;
+  if (shape.length !== 3 || shape[1] !== expected)
+    return `expected output [1, ${expected}, n] (4 box + ${metadata.names.length} classes), got [${shape}]`;
+  return null;
 };
@@ -0,0 +1,107 @@
+import * as tf from "@tensorflow/tfjs";
+import { renderPoses } from "./renderBox";
+import { letterbox, toSourceBox, toSourcePoint } from "./letterbox";
+
+/**
+ * Preprocess image / frame before forwarded into the model
+ * @param {HTMLVideoElement|HTMLImageElement} source
+ * @param {Object} model loaded model with its input shape
+ * @returns input tensor and letterbox transform to source pixels
+ */
+export const preprocess = (source, model) => letterbox(source, model.inputShape);
+
+/**
+ * Keypoint layout of the model, read from metadata `kpt_shape` or guessed from the output
+ * as the 17 COCO keypoints.
+ * @param {Number} channels values per anchor of the output (4 + nc + keypoints * dims)
+ * @param {Object} metadata normalized metadata
+ * @returns {Array[Number]} [keypoints, dims]
+ */
+const getKeypointShape = (channels, metadata) => {
+  if (metadata.kpt_shape) return metadata.kpt_shape;
+  const values = channels - 4 - metadata.names.length;
+  return [17, values === 17 * 2 ? 2 : 3];
+};
+
+/**
+ * Decode YOLOv8 pose output, filtering boxes with NMS.
+ * @param {Array[tf.Tensor]} outputs model outputs, first one shaped [b, 4 + nc + k * dims, n]
+ * @param {Object} model loaded model with its metadata
+ * @param {Object} transform letterbox transform from preprocess
+ * @param {Object} options detection options: `confThreshold`, `nmsThreshold` IoU of the box NMS
+ * @returns {Promise<Object>} `{ detections, width, height }`, detections `bbox` is [x1, y1, x2, y2]
+ * and `keypoints` is [[x, y, score], ...] in source pixels, score is 1 for models without
+ * keypoint visibility
+ */
+export const decode = async (
+  outputs,
+  model,
+  transform,
+  { confThreshold = 0.25, nmsThreshold = 0.45 } = {}
+) => {
+  const [predictions] = outputs;
+  const numClasses = model.metadata.names.length;
+  const [numKeypoints, dims] = getKeypointShape(predictions.shape[1], model.metadata);
+
+  const [boxes, scores, classes, keypoints] = tf.tidy(() => {
+    const transposed = predictions.transpose([0, 2, 1]).squeeze([0]); // [n, 4 + nc + k * dims]
+    const [cx, cy, w, h] = tf.split(transposed.slice([0, 0], [-1, 4]), 4, 1);
+    const x1 = tf.sub(cx, tf.div(w, 2));
+    const y1 = tf.sub(cy, tf.div(h, 2));
+    const classScores = transposed.slice([0, 4], [-1, numClasses]);
+    return [
+      tf.concat([y1, x1, tf.add(y1, h), tf.add(x1, w)], 1), // [y1, x1, y2, x2]
+      classScores.max(1),
+      classScores.argMax(1),
+      transposed.slice([0, 4 + numClasses], [-1, numKeypoints * dims]),
+    ];
+  });
+
+  const nms = await tf.image.nonMaxSuppressionAsync(boxes, scores, 500, nmsThreshold, confThreshold); // NMS to filter boxes with confThreshold
+
+  const selected = [boxes, scores, classes, keypoints].map((tensor) => tensor.gather(nms, 0)); // indexing by nms index
+  const [boxes_data, scores_data, classes_data, keypoints_data] = await Promise.all(
+    selected.map((tensor) => tensor.data())
+  );
+  tf.dispose([boxes, scores, classes, keypoints, nms, ...selected]); // clear memory
+
+  const { names } = model.metadata;
+  const detections = Array.from(scores_data, (score, i) => {
+    const [y1, x1, y2, x2] = boxes_data.slice(i * 4, (i + 1) * 4);
+    const values = keypoints_data.slice(i * numKeypoints * dims, (i + 1) * numKeypoints * dims);
+    return {
+      classId: classes_data[i],
+      label: names[classes_data[i]],
+      score: score,
+      bbox: toSourceBox([x1, y1, x2, y2], transform),
+      keypoints: Array.from({ length: numKeypoints }, (_, k) => [
+        ...toSourcePoint(values[k * dims], values[k * dims + 1], transform),
+        dims === 3 ? values[k * dims + 2] : 1,
+      ]),
+    };
+  });
+
+  return { detections, width: transform.width, height: transform.height };
+};
+
+/**
+ * Render decoded detections with their skeleton.
+ * @param {HTMLCanvasElement} canvasRef canvas reference, sized as the source
+ * @param {Array[Object]} detections decoded detections
+ */
+export const render = (canvasRef, detections) => renderPoses(canvasRef, detections);
+
+/**
+ * Check model output matches pose head [b, 4 + nc + k * dims, n].
+ * @param {Array[Array[Number]]} outputShapes shapes of every model output
+ * @param {Object} metadata normalized metadata
+ * @returns {String} reason why output isn't supported, null if valid
+ */
+export const validateOutput = (outputShapes, metadata) => {
+  const [shape] = outputShapes;
+  const [numKeypoints, dims] = getKeypointShape(shape[1], metadata);
+  const expected = 4 + metadata.names.length + numKeypoints * dims;
+  if (shape.length !== 3 || shape[1] !== expected)
+    return `expected output [1, ${expected}, n] (4 box + ${metadata.names.length} classes + ${numKeypoints}x${dims} keypoints), got [${shape}]`;
+  return null;
+};
@@ -0,0 +1,165 @@
+import * as tf from "@tensorflow/tfjs";
+import { renderSegments } from "./renderBox";
+import { letterbox, toSourceBox } from "./letterbox";
+
+/**
+ * Preprocess image / frame before forwarded into the model
+ * @param {HTMLVideoElement|HTMLImageElement} source
+ * @param {Object} model loaded model with its input shape
+ * @returns input tensor and letterbox transform to source pixels
+ */
+export const preprocess = (source, model) => letterbox(source, model.inputShape);
+
+/**
+ * Find segmentation outputs, graph models don't keep the Ultralytics output order.
+ * @param {Array} outputs model outputs or their shapes
+ * @param {Function} getShape shape of an output
+ * @returns {Array} [predictions [b, 4 + nc + nm, n], prototypes [b, mh, mw, nm]]
+ */
+const findOutputs = (outputs, getShape = (output) => output.shape) => [
+  outputs.find((output) => getShape(output).length === 3),
+  outputs.find((output) => getShape(output).length === 4),
+];
+
+/**
+ * Crop mask of a detection from the prototype mask logits and upsample it to the source pixels
+ * covered by its box, sampling at the source pixel centers.
+ * @param {tf.Tensor4D} logits mask logits of the kept detections [k, mh, mw, 1]
+ * @param {Number} index detection index in logits
+ * @param {Array[Number]} bbox detection box [x1, y1, x2, y2] in source pixels
+ * @param {Object} transform letterbox transform
+ * @param {Array[Number]} inputShape model input shape [b, h, w, c]
+ * @returns {Promise<Object>} mask `{ x, y, width, height, data }`, data holds 1 inside the mask
+ * for every pixel of the width x height area starting at source pixel [x, y]
+ */
+const cropMask = async (logits, index, [x1, y1, x2, y2], transform, inputShape) => {
+  const [protoHeight, protoWidth] = logits.shape.slice(1, 3);
+  const [inputHeight, inputWidth] = inputShape.slice(1, 3);
+  const { scale, padX, padY } = transform;
+
+  const x = Math.floor(x1);
+  const y = Math.floor(y1);
+  const width = Math.max(Math.ceil(x2) - x, 1);
+  const height = Math.max(Math.ceil(y2) - y, 1);
+
+  // source pixel center => normalized prototype coordinate of cropAndResize
+  const toProtoX = (value) =>
+    (((value * scale + padX) * protoWidth) / inputWidth - 0.5) / Math.max(protoWidth - 1, 1);
+  const toProtoY = (value) =>
+    (((value * scale + padY) * protoHeight) / inputHeight - 0.5) / Math.max(protoHeight - 1, 1);
+  const box = [
+    toProtoY(y + 0.5),
+    toProtoX(x + 0.5),
+    toProtoY(y + height - 0.5),
+    toProtoX(x + width - 0.5),
+  ];
+
+  const mask = tf.tidy(() =>
+    tf.image
+      .cropAndResize(logits, [box], [index], [height, width]) // bilinear upsampling
+      .greater(0) // sigmoid(logit) > 0.5
+      .reshape([-1])
+  );
+  const data = await mask.data();
+  mask.dispose();
+
+  return { x, y, width, height, data: Uint8Array.from(data) };
+};
+
+/**
+ * Decode YOLOv8 segmentation output: boxes filtered with NMS, then masks built from the kept
+ * mask coefficients and the prototype masks, cropped to their box.
+ * @param {Array[tf.Tensor]} outputs predictions [b, 4 + nc + nm, n] and prototypes [b, mh, mw, nm]
+ * @param {Object} model loaded model with its input shape and metadata
+ * @param {Object} transform letterbox transform from preprocess
+ * @param {Object} options detection options: `confThreshold`, `nmsThreshold` IoU of the box NMS
+ * @returns {Promise<Object>} `{ detections, width, height }`, detections `bbox` is [x1, y1, x2, y2]
+ * in source pixels, with their `mask` (see cropMask) and mask `area` in source pixels
+ */
+export const decode = async (
+  outputs,
+  model,
+  transform,
+  { confThreshold = 0.25, nmsThreshold = 0.45 } = {}
+) => {
+  const [predictions, prototypes] = findOutputs(outputs);
+  const [protoHeight, protoWidth, numMasks] = prototypes.shape.slice(1);
+  const numClasses = predictions.shape[1] - 4 - numMasks;
+
+  const [boxes, scores, classes, coefficients] = tf.tidy(() => {
+    const transposed = predictions.transpose([0, 2, 1]).squeeze([0]); // [n, 4 + nc + nm]
+    const [cx, cy, w, h] = tf.split(transposed.slice([0, 0], [-1, 4]), 4, 1);
+    const x1 = tf.sub(cx, tf.div(w, 2));
+    const y1 = tf.sub(cy, tf.div(h, 2));
+    const classScores = transposed.slice([0, 4], [-1, numClasses]);
+    return [
+      tf.concat([y1, x1, tf.add(y1, h), tf.add(x1, w)], 1), // [y1, x1, y2, x2]
+      classScores.max(1),
+      classScores.argMax(1),
+      transposed.slice([0, 4 + numClasses], [-1, numMasks]),
+    ];
+  });
+
+  const nms = await tf.image.nonMaxSuppressionAsync(boxes, scores, 500, nmsThreshold, confThreshold); // NMS to filter boxes with confThreshold
+
+  const selected = [boxes, scores, classes, coefficients].map((tensor) => tensor.gather(nms, 0));
+  const logits = tf.tidy(() =>
+    selected[3]
+      .matMul(prototypes.reshape([protoHeight * protoWidth, numMasks]).transpose())
+      .reshape([-1, protoHeight, protoWidth, 1])
+  ); // mask logits [k, mh, mw, 1]
+  const [boxes_data, scores_data, classes_data] = await Promise.all(
+    selected.slice(0, 3).map((tensor) => tensor.data())
+  );
+  tf.dispose([boxes, scores, classes, coefficients, nms, ...selected]); // clear memory
+
+  const { names } = model.metadata;
+  const detections = [];
+  try {
+    for (let i = 0; i < scores_data.length; i++) {
+      const [y1, x1, y2, x2] = boxes_data.slice(i * 4, (i + 1) * 4);
+      const bbox = toSourceBox([x1, y1, x2, y2], transform);
+      const mask = await cropMask(logits, i, bbox, transform, model.inputShape);
+      detections.push({
+        classId: classes_data[i],
+        label: names[classes_data[i]],
+        score: scores_data[i],
+        bbox,
+        mask,
+        area: mask.data.reduce((sum, value) => sum + value, 0),
+      });
+    }
+  } finally {
+    logits.dispose();
+  }
+
+  return { detections, width: transform.width, height: transform.height };
+};
+
+/**
+ * Render decoded detections with their masks.
+ * @param {HTMLCanvasElement} canvasRef canvas reference, sized as the source
+ * @param {Array[Object]} detections decoded detections
+ */
+export const render = (canvasRef, detections) => renderSegments(canvasRef, detections);
+
+/**
+ * Check model outputs match the segmentation head [b, 4 + nc + nm, n] and prototypes
+ * [b, mh, mw, nm].
+ * @param {Array[Array[Number]]} outputShapes shapes of every model output
+ * @param {Object} metadata normalized metadata
+ * @returns {String} reason why output isn't supported, null if valid
+ */
+export const validateOutput = (outputShapes, metadata) => {
+  const [shape, protoShape] = findOutputs(outputShapes, (output) => output);
+  if (!shape || !protoShape)
+    return `expected predictions [1, 4 + nc + nm, n] and mask prototypes [1, mh, mw, nm], got ${outputShapes
+      .map((output) => `[${output}]`)
+      .join(", ")}`;
+
+  const numMasks = protoShape[3];
+  const expected = 4 + metadata.names.length + numMasks;
+  if (shape[1] !== expected)
+    return `expected output [1, ${expected}, n] (4 box + ${metadata.names.length} classes + ${numMasks} mask coefficients), got [${shape}]`;
+  return null;
+};
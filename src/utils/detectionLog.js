@@ -0,0 +1,74 @@
+const MAX_FRAMES = 10000; // oldest frames are dropped past this
+
+/**
+ * Detection as kept in the log, without the source sized mask buffer and the track trajectory
+ * that no exporter reads (a single 1080p mask weighs hundreds of KB).
+ * @param {Object} detection decoded detection
+ * @returns {Object} detection to record, mask `area` is kept
+ */
+const toRecorded = ({ mask, trajectory, ...detection }) => detection;
+
+/**
+ * Class to keep detections of the current source for export.
+ * An image keeps its latest result, video and webcam frames are recorded one by one,
+ * named after the source and their timestamp in milliseconds.
+ */
+export class DetectionLog {
+  constructor() {
+    this.sourceName = "detections";
+    this.fileName = "detections"; // source file name with its extension
+    this.frames = new Map(); // frame name => `{ name, fileName, width, height, detections }`
+  }
+
+  /**
+   * Start logging a new source.
+   * @param {String} name source file name, its extension is dropped from the frame names
+   */
+  setSource = (name) => {
+    this.sourceName = name.replace(/\.[^.]*$/, "") || "detections";
+    this.fileName = name || "detections";
+    this.clear();
+  };
+
+  /**
+   * Drop recorded frames.
+   */
+  clear = () => {
+    this.frames.clear();
+  };
+
+  /**
+   * Name of the current frame of source, video frames get their timestamp appended.
+   * @param {HTMLImageElement|HTMLVideoElement} source
+   * @returns {String}
+   */
+  getFrameName = (source) =>
+    typeof source.currentTime === "number"
+      ? `${this.sourceName}_${String(Math.round(source.currentTime * 1000)).padStart(8, "0")}`
+      : this.sourceName;
+
+  /**
+   * Record detections of a frame, replacing a previous result of the same frame.
+   * @param {HTMLImageElement|HTMLVideoElement} source detected source
+   * @param {Object} result predict result `{ detections, width, height }`
+   */
+  record = (source, { detections, width, height }) => {
+    const name = this.getFrameName(source);
+    const fileName = name === this.sourceName ? this.fileName : name; // video frames have no file
+
+    this.frames.delete(name); // keep insertion order of the latest result
+    this.frames.set(name, {
+      name,
+      fileName,
+      width,
+      height,
+      detections: detections.map(toRecorded),
+    });
+    if (this.frames.size > MAX_FRAMES) this.frames.delete(this.frames.keys().next().value);
+  };
+
+  /**
+   * @returns {Array[Object]} recorded frames, oldest first
+   */
+  getFrames = () => [...this.frames.values()];
+}
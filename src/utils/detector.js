@@ -0,0 +1,73 @@
+import { loadModelFromUrl, warmupModel } from "./modelLoader";
+import { predict } from "./inference";
+import { getTask } from "./tasks";
+import { setWasmPaths } from "@tensorflow/tfjs-backend-wasm";
+import { initBackend } from "./backend";
+
+/**
+ * Create a framework free detector, usable without the React app.
+ *
+ * ```js
+ * const detector = await createDetector("https://.../yolov8n_web_model/model.json");
+ * const detections = await detector.detect(image); // [{ classId, label, score, bbox }]
+ * detector.render(canvas, detections); // optional, canvas sized as the image
+ * detector.dispose();
+ * ```
+ *
+ * Detections are in source pixels. `detect` models return `bbox` [x1, y1, x2, y2],
+ * `obb` models return `corners` [x1, y1, ..., x4, y4] and `angle` in radians, `segment` models
+ * add their `mask` and mask `area`, `pose` models their `keypoints` [[x, y, score], ...].
+ * `classify` models don't detect anything, use `classify` to get the top classes of the source.
+ * @param {String} modelUrl url of model.json, metadata.yaml is read from the same folder
+ * @param {Object} options `confThreshold`, `nmsThreshold`, `onProgress`, fallback `task`,
+ * preferred `backend` (webgl, webgpu, wasm or cpu, falling back when unavailable) and
+ * `wasmPaths` where the wasm backend binaries are served (see tfjs `setWasmPaths`)
+ * @returns {Promise<Object>} detector `{ metadata, backend, detect, classify, render, dispose }`
+ */
+export const createDetector = async (modelUrl, options = {}) => {
+  const { onProgress, task, backend: preferredBackend, wasmPaths, ...detectOptions } = options;
+  if (wasmPaths) setWasmPaths(wasmPaths);
+  const backend = await initBackend(preferredBackend);
+  const { net, metadata } = await loadModelFromUrl(modelUrl, { onProgress, defaults: { task } });
+
+  let inputShape;
+  try {
+    inputShape = warmupModel(net, metadata); // check model fits the pipeline of its task
+  } catch (error) {
+    net.dispose();
+    throw error;
+  }
+  const model = { net, inputShape, metadata };
+
+  return {
+    metadata,
+    backend,
+    /**
+     * Detect objects in source.
+     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageData} source
+     * @param {Object} overrides options overriding the detector options for this call
+     * @returns {Promise<Array[Object]>} detections in source pixels
+     */
+    detect: async (source, overrides = {}) => {
+      const result = await predict(source, model, { ...detectOptions, ...overrides });
+      return result.detections;
+    },
+    /**
+     * Classify source with a classification model.
+     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageData} source
+     * @param {Object} overrides options overriding the detector options for this call (`topK`)
+     * @returns {Promise<Array[Object]>} top `{ classId, label, score }`, empty for other tasks
+     */
+    classify: async (source, overrides = {}) => {
+      const result = await predict(source, model, { ...detectOptions, ...overrides });
+      return result.classes || [];
+    },
+    /**
+     * Draw detections on canvas.
+     * @param {HTMLCanvasElement} canvas canvas sized as the detected source
+     * @param {Array[Object]} detections detections from `detect`
+     */
+    render: (canvas, detections) => getTask(metadata.task).render(canvas, detections),
+    dispose: () => net.dispose(),
+  };
+};
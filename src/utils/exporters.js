@@ -0,0 +1,156 @@
+import JSZip from "jszip";
+import { cornersToAABB, cornersToPolygon, calculatePolygonArea } from "./geometry";
+
+export const EXPORT_FORMATS = {
+  coco: "COCO JSON",
+  yolo: "YOLO txt",
+  dota: "DOTA txt",
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Four corners of any detection, clockwise from top left for axis aligned boxes.
+ * @param {Object} detection detection with `bbox` or `corners`
+ * @returns {Array[Number]} [x1, y1, ..., x4, y4]
+ */
+const getCorners = ({ bbox, corners }) => {
+  if (corners) return corners;
+  const [x1, y1, x2, y2] = bbox;
+  return [x1, y1, x2, y1, x2, y2, x1, y2];
+};
+
+/**
+ * Build a COCO detection dataset, oriented boxes are exported as polygon segmentation.
+ * Category ids are the model class ids, images are named after the frame `fileName` (with its
+ * extension, as labelling tools match them) or its `name`.
+ * @param {Array[Object]} frames `{ name, fileName, width, height, detections }`
+ * @param {Array[String]} names class names
+ * @returns {Object} COCO json
+ */
+export const toCOCO = (frames, names) => {
+  const images = [];
+  const annotations = [];
+
+  frames.forEach(({ name, fileName, width, height, detections }, i) => {
+    const imageId = i + 1;
+    images.push({ id: imageId, file_name: fileName || name, width, height });
+
+    detections.forEach((detection) => {
+      const [x1, y1, x2, y2] = detection.bbox || cornersToAABB(detection.corners);
+      const annotation = {
+        id: annotations.length + 1,
+        image_id: imageId,
+        category_id: detection.classId,
+        bbox: [x1, y1, x2 - x1, y2 - y1].map((value) => round(value)),
+        area: round((x2 - x1) * (y2 - y1)),
+        score: round(detection.score, 4),
+        iscrowd: 0,
+      };
+      if (detection.corners) {
+        annotation.segmentation = [detection.corners.map((value) => round(value))];
+        annotation.area = round(calculatePolygonArea(cornersToPolygon(detection.corners)));
+      }
+      annotations.push(annotation);
+    });
+  });
+
+  return {
+    info: { description: "yolov8-tfjs detections", date_created: new Date().toISOString() },
+    images,
+    annotations,
+    categories: names.map((name, id) => ({ id, name })),
+  };
+};
+
+/**
+ * Ultralytics YOLO label of a frame: `class cx cy w h` for boxes and `class x1 y1 ... x4 y4`
+ * for oriented boxes, normalized to [0, 1].
+ * @param {Object} frame `{ width, height, detections }`
+ * @returns {String} label file content
+ */
+export const toYOLO = ({ width, height, detections }) =>
+  detections
+    .map((detection) => {
+      let values;
+      if (detection.corners) {
+        values = detection.corners.map((value, i) => value / (i % 2 === 0 ? width : height));
+      } else {
+        const [x1, y1, x2, y2] = detection.bbox;
+        values = [
+          (x1 + x2) / 2 / width,
+          (y1 + y2) / 2 / height,
+          (x2 - x1) / width,
+          (y2 - y1) / height,
+        ];
+      }
+      return [detection.classId, ...values.map((value) => value.toFixed(6))].join(" ");
+    })
+    .join("\n");
+
+/**
+ * DOTA label of a frame: `x1 y1 x2 y2 x3 y3 x4 y4 category difficult` in pixels.
+ * @param {Object} frame `{ detections }`
+ * @param {Array[String]} names class names, spaces are replaced with "-"
+ * @returns {String} label file content
+ */
+export const toDOTA = ({ detections }, names) =>
+  detections
+    .map((detection) => {
+      const corners = getCorners(detection).map((value) => value.toFixed(1));
+      const category = String(names[detection.classId]).replace(/\s+/g, "-");
+      return [...corners, category, 0].join(" ");
+    })
+    .join("\n");
+
+/**
+ * Convert recorded frames into export files.
+ * @param {String} format one of `EXPORT_FORMATS`
+ * @param {Array[Object]} frames `{ name, fileName, width, height, detections }`, label files are
+ * named after the frame `name`
+ * @param {Array[String]} names class names
+ * @param {String} baseName name of the exported source
+ * @returns {Array[Object]} `{ name, content }` files
+ */
+export const exportDetections = (format, frames, names, baseName) => {
+  switch (format) {
+    case "coco":
+      return [{ name: `${baseName}_coco.json`, content: JSON.stringify(toCOCO(frames, names)) }];
+    case "yolo":
+      return [
+        ...frames.map((frame) => ({ name: `${frame.name}.txt`, content: toYOLO(frame) })),
+        { name: "classes.txt", content: names.join("\n") },
+      ];
+    case "dota":
+      return frames.map((frame) => ({ name: `${frame.name}.txt`, content: toDOTA(frame, names) }));
+    default:
+      throw new Error(`Unknown export format ${format}`);
+  }
+};
+
+/**
+ * Save files in the browser, several files are bundled into a zip archive.
+ * @param {Array[Object]} files `{ name, content }`, content is a string or Blob
+ * @param {String} archiveName zip file name without extension
+ * @param {Object} options `zip` bundles a single file too
+ */
+export const downloadFiles = async (files, archiveName, { zip: forceZip = false } = {}) => {
+  let blob;
+  let name;
+  if (files.length === 1 && !forceZip) {
+    name = files[0].name;
+    blob = files[0].content instanceof Blob ? files[0].content : new Blob([files[0].content]);
+  } else {
+    const zip = new JSZip();
+    files.forEach((file) => zip.file(file.name, file.content));
+    blob = await zip.generateAsync({ type: "blob" });
+    name = `${archiveName}.zip`;
+  }
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000); // let the download start
+};
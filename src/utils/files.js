@@ -0,0 +1,40 @@
+/**
+ * Read every file inside a dropped directory entry.
+ * @param {FileSystemEntry} entry dropped file or directory entry
+ * @returns {Promise<Array[File]>} files
+ */
+const readEntry = (entry) =>
+  new Promise((resolve, reject) => {
+    if (entry.isFile) entry.file((file) => resolve([file]), reject);
+    else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      const entries = [];
+
+      // readEntries returns the content in chunks, read until it's empty
+      const readChunk = () =>
+        reader.readEntries((chunk) => {
+          if (chunk.length > 0) {
+            entries.push(...chunk);
+            readChunk();
+          } else Promise.all(entries.map(readEntry)).then((files) => resolve(files.flat()), reject);
+        }, reject);
+      readChunk();
+    } else resolve([]);
+  });
+
+/**
+ * Collect dropped files, walking into dropped directories.
+ * @param {DataTransfer} dataTransfer drop event data
+ * @returns {Promise<Array[File]>} dropped files
+ */
+export const getDroppedFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter((item) => item.kind === "file" && item.webkitGetAsEntry)
+    .map((item) => item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (entries.length === 0) return Array.from(dataTransfer.files || []); // entries API unsupported
+  const files = await Promise.all(entries.map(readEntry));
+  return files.flat();
+};
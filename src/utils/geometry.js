@@ -0,0 +1,176 @@
+// 将xywhr格式转换为4个角点坐标
+export const convertToCorners = (cx, cy, w, h, angle) => {
+  // 计算旋转后的四个角点
+  const cosA = Math.cos(angle);
+  const sinA = Math.sin(angle);
+  
+  // 计算四个角点相对于中心的偏移
+  const dx1 = -w/2, dy1 = -h/2;
+  const dx2 = w/2, dy2 = -h/2;
+  const dx3 = w/2, dy3 = h/2;
+  const dx4 = -w/2, dy4 = h/2;
+  
+  // 应用旋转变换
+  return [
+    cx + cosA * dx1 - sinA * dy1, cy + sinA * dx1 + cosA * dy1, // 左上
+    cx + cosA * dx2 - sinA * dy2, cy + sinA * dx2 + cosA * dy2, // 右上
+    cx + cosA * dx3 - sinA * dy3, cy + sinA * dx3 + cosA * dy3, // 右下
+    cx + cosA * dx4 - sinA * dy4, cy + sinA * dx4 + cosA * dy4, // 左下
+  ];
+};
+
+// 将角点坐标转换为多边形格式
+export const cornersToPolygon = (corners) => {
+  const polygon = [];
+  for (let i = 0; i < corners.length / 2; i++) {
+    polygon.push({x: corners[i*2], y: corners[i*2+1]});
+  }
+  return polygon;
+};
+
+// 角点的轴对齐外接框 [xmin, ymin, xmax, ymax]
+export const cornersToAABB = (corners) => {
+  let xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity;
+  for (let i = 0; i < corners.length; i += 2) {
+    xmin = Math.min(xmin, corners[i]);
+    xmax = Math.max(xmax, corners[i]);
+    ymin = Math.min(ymin, corners[i + 1]);
+    ymax = Math.max(ymax, corners[i + 1]);
+  }
+  return [xmin, ymin, xmax, ymax];
+};
+
+// 检测框中心点 [x, y], 支持 bbox 和 corners
+export const boxCenter = ({ bbox, corners }) => {
+  if (bbox) return [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+  let x = 0, y = 0;
+  for (let i = 0; i < corners.length; i += 2) {
+    x += corners[i];
+    y += corners[i + 1];
+  }
+  return [(x * 2) / corners.length, (y * 2) / corners.length];
+};
+
+// 平移检测框 [dx, dy], 返回 { bbox } 或 { corners }
+export const translateBox = ({ bbox, corners }, dx, dy) => {
+  if (bbox) return { bbox: [bbox[0] + dx, bbox[1] + dy, bbox[2] + dx, bbox[3] + dy] };
+  return { corners: corners.map((value, i) => value + (i % 2 === 0 ? dx : dy)) };
+};
+
+// 计算两个轴对齐框 [x1, y1, x2, y2] 之间的IoU
+export const calculateBoxIoU = (box1, box2) => {
+  const width = Math.min(box1[2], box2[2]) - Math.max(box1[0], box2[0]);
+  const height = Math.min(box1[3], box2[3]) - Math.max(box1[1], box2[1]);
+  if (width <= 0 || height <= 0) return 0;
+
+  const intersection = width * height;
+  const area1 = (box1[2] - box1[0]) * (box1[3] - box1[1]);
+  const area2 = (box2[2] - box2[0]) * (box2[3] - box2[1]);
+  return intersection / (area1 + area2 - intersection);
+};
+
+// 计算两个有向边界框之间的IoU
+export const calculateOBBIoU = (box1Corners, box2Corners) => {
+  return calculatePolygonIoU(cornersToPolygon(box1Corners), cornersToPolygon(box2Corners));
+};
+
+// 计算两个同类检测框 ({ bbox } 或 { corners }) 之间的IoU, 旋转框先比较外接矩形快速排除
+export const calculateDetectionIoU = (a, b) => {
+  if (a.bbox) return calculateBoxIoU(a.bbox, b.bbox);
+  const aabbOverlap = calculateBoxIoU(cornersToAABB(a.corners), cornersToAABB(b.corners));
+  if (aabbOverlap === 0) return 0; // quick reject
+  return calculateOBBIoU(a.corners, b.corners);
+};
+
+// 计算两个凸多边形之间的IoU, 可传入预先计算的面积
+export const calculatePolygonIoU = (
+  polygon1,
+  polygon2,
+  area1 = calculatePolygonArea(polygon1),
+  area2 = calculatePolygonArea(polygon2)
+) => {
+  // 使用Sutherland-Hodgman算法计算多边形相交
+  const intersection = clipPolygons(polygon1, polygon2);
+  
+  if (!intersection || intersection.length === 0) {
+    return 0;
+  }
+  
+  // 计算多边形面积
+  const intersectionArea = calculatePolygonArea(intersection);
+  
+  // 计算IoU
+  return intersectionArea / (area1 + area2 - intersectionArea);
+};
+
+// 计算多边形面积
+export const calculatePolygonArea = (polygon) => {
+  let area = 0;
+  const n = polygon.length;
+  
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    area += polygon[i].x * polygon[j].y;
+    area -= polygon[j].x * polygon[i].y;
+  }
+  
+  return Math.abs(area) / 2;
+};
+
+
+
+// 切割多边形 (Sutherland-Hodgman 算法)
+export const clipPolygons = (subjectPolygon, clipPolygon) => {
+  let outputList = subjectPolygon;
+  
+  for (let i = 0; i < clipPolygon.length; i++) {
+    const clipEdgeStart = clipPolygon[i];
+    const clipEdgeEnd = clipPolygon[(i + 1) % clipPolygon.length];
+    
+    const inputList = outputList;
+    outputList = [];
+    
+    if (inputList.length === 0) {
+      break;
+    }
+    
+    let S = inputList[inputList.length - 1];
+    
+    for (let j = 0; j < inputList.length; j++) {
+      const E = inputList[j];
+      
+      if (isInside(E, clipEdgeStart, clipEdgeEnd)) {
+        if (!isInside(S, clipEdgeStart, clipEdgeEnd)) {
+          outputList.push(computeIntersection(S, E, clipEdgeStart, clipEdgeEnd));
+        }
+        outputList.push(E);
+      } else if (isInside(S, clipEdgeStart, clipEdgeEnd)) {
+        outputList.push(computeIntersection(S, E, clipEdgeStart, clipEdgeEnd));
+      }
+      S = E; // 下一条边的起点
+    }
+  }
+  
+  return outputList;
+};
+
+// 判断点是否在边的内侧
+const isInside = (p, edgeStart, edgeEnd) => {
+  return (edgeEnd.x - edgeStart.x) * (p.y - edgeStart.y) - 
+         (edgeEnd.y - edgeStart.y) * (p.x - edgeStart.x) >= 0;
+};
+
+// 计算两条线段的交点
+const computeIntersection = (s, e, clipEdgeStart, clipEdgeEnd) => {
+  const dc = {x: clipEdgeStart.x - clipEdgeEnd.x, y: clipEdgeStart.y - clipEdgeEnd.y};
+  const dp = {x: s.x - e.x, y: s.y - e.y};
+  
+  const n1 = clipEdgeStart.x * clipEdgeEnd.y - clipEdgeStart.y * clipEdgeEnd.x;
+  const n2 = s.x * e.y - s.y * e.x;
+  const n3 = 1.0 / (dc.x * dp.y - dc.y * dp.x);
+  
+  return {
+    x: (n1 * dp.x - n2 * dc.x) * n3,
+    y: (n1 * dp.y - n2 * dc.y) * n3
+  };
+};
@@ -0,0 +1,269 @@
+import * as tf from "@tensorflow/tfjs";
+import { getTask } from "./tasks";
+import { countByClass, filterByArea } from "./counting";
+import { classifyDetections } from "./classify";
+import { DEFAULT_SLICING, getSlices, toGlobalDetection, mergeDetections } from "./slicing";
+import { DEFAULT_TTA, drawAugmented, restoreDetection, fuseDetections } from "./tta";
+
+const TTA_TASKS = ["detect", "obb", "pose"]; // masks and class probabilities aren't fused
+// score floor decoded while tracking, detections under the confidence threshold only extend
+// existing tracks (ByteTrack second association)
+const TRACK_LOW_THRESHOLD = 0.1;
+
+let engineQueue = Promise.resolve(); // last queued task using the tf engine
+
+/**
+ * Run task once the previously queued ones are done. tf engine scopes are a single global stack,
+ * so two awaited scopes (e.g. video loop and batch) interleaving would dispose each other's
+ * tensors.
+ * @param {Function} task async function using the tf engine
+ * @returns {Promise} result of task
+ */
+export const runExclusive = (task) => {
+  const run = engineQueue.then(task);
+  engineQueue = run.catch(() => {}); // a failed task doesn't block the next ones
+  return run;
+};
+
+/**
+ * Run inference on this thread, see `predict`.
+ */
+const predictLocal = async (source, model, options) => {
+  const task = getTask(model.metadata.task);
+  const timings = {};
+  let start = performance.now();
+  const lap = (stage) => {
+    const now = performance.now();
+    timings[stage] = now - start;
+    start = now;
+  };
+
+  tf.engine().startScope(); // start scoping tf engine
+  try {
+    const [input, transform] = task.preprocess(source, model); // preprocess image
+    lap("preprocess");
+    const res = await model.net.executeAsync(input); // inference model
+    lap("inference");
+    const result = await task.decode(Array.isArray(res) ? res : [res], model, transform, options);
+    lap("decode");
+    return { ...result, timings };
+  } finally {
+    tf.engine().endScope(); // end of scoping
+  }
+};
+
+/**
+ * Run inference on source using the pipeline of model's task.
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageData} source
+ * @param {Object} model loaded tensorflow.js model with its input shape and metadata
+ * @param {Object} options detection options (`confThreshold`, `nmsThreshold`)
+ * @returns {Promise<Object>} `{ detections, width, height, timings }` with detections in source
+ * pixels and milliseconds spent in every stage. GPU backends run kernels lazily, so part of the
+ * inference time is counted in decode, where the results are downloaded.
+ */
+export const predict = async (source, model, options = {}) => {
+  if (model.net.remote) return model.net.predict(source, options); // model hosted in a worker
+  return runExclusive(() => predictLocal(source, model, options));
+};
+
+/**
+ * Sliced inference for large images: run the model on overlapping tiles (and the whole image),
+ * map tile detections back to source pixels and merge duplicates across tile seams.
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+ * @param {Object} model loaded tensorflow.js model with its input shape and metadata
+ * @param {Object} options detection options (`confThreshold`, `nmsThreshold`)
+ * @param {Object} slicing `tileSize`, `overlap`, `mergeThreshold`, `fullImage` (see
+ * `DEFAULT_SLICING`), `onProgress(done, total)` called after every pass and an AbortSignal
+ * `signal` stopping before the next pass, with the detections found so far
+ * @returns {Promise<Object>} same as `predict`, timings are summed over the passes
+ */
+export const predictSliced = async (source, model, options = {}, slicing = {}) => {
+  const { tileSize, overlap, mergeThreshold, fullImage, onProgress, signal } = {
+    ...DEFAULT_SLICING,
+    ...slicing,
+  };
+  const width = source.naturalWidth || source.videoWidth || source.width;
+  const height = source.naturalHeight || source.videoHeight || source.height;
+  const slices = getSlices(width, height, tileSize, overlap);
+  if (slices.length === 1 || model.metadata.task === "classify") {
+    return predict(source, model, options); // fits a single tile
+  }
+
+  const passes = fullImage ? [null, ...slices] : slices;
+  const tile = document.createElement("canvas");
+  const ctx = tile.getContext("2d");
+  const detections = [];
+  const timings = {};
+  let result;
+
+  for (let i = 0; i < passes.length; i++) {
+    if (signal && signal.aborted) break;
+    if (passes[i] === null) {
+      result = await predict(source, model, options);
+      detections.push(...result.detections);
+    } else {
+      const [x1, y1, x2, y2] = passes[i];
+      tile.width = x2 - x1;
+      tile.height = y2 - y1;
+      ctx.drawImage(source, x1, y1, x2 - x1, y2 - y1, 0, 0, x2 - x1, y2 - y1);
+      result = await predict(tile, model, options);
+      detections.push(...result.detections.map((detection) => toGlobalDetection(detection, x1, y1)));
+    }
+    Object.entries(result.timings || {}).forEach(([stage, time]) => {
+      timings[stage] = (timings[stage] || 0) + time;
+    });
+    if (onProgress) onProgress(i + 1, passes.length);
+  }
+
+  return {
+    detections: mergeDetections(detections, mergeThreshold),
+    width,
+    height,
+    timings,
+    memory: result && result.memory, // worker memory after the last pass
+  };
+};
+
+/**
+ * Test-time augmentation for higher recall on still images: run the model on the flipped and
+ * rescaled source, map the detections back to source pixels and fuse them.
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+ * @param {Object} model loaded tensorflow.js model with its input shape and metadata
+ * @param {Object} options detection options (`confThreshold`, `nmsThreshold`)
+ * @param {Object} tta `augmentations`, `method`, `iouThreshold` (see `DEFAULT_TTA`)
+ * @returns {Promise<Object>} same as `predict`, timings are summed over the passes
+ */
+export const predictTTA = async (source, model, options = {}, tta = {}) => {
+  const settings = { ...DEFAULT_TTA, ...tta };
+  if (!TTA_TASKS.includes(model.metadata.task)) return predict(source, model, options);
+
+  const width = source.naturalWidth || source.videoWidth || source.width;
+  const height = source.naturalHeight || source.videoHeight || source.height;
+  const canvas = document.createElement("canvas");
+  const detections = [];
+  const timings = {};
+  let result;
+
+  for (const augmentation of settings.augmentations) {
+    drawAugmented(source, canvas, augmentation, width, height);
+    result = await predict(canvas, model, options);
+    detections.push(
+      ...result.detections.map((detection) => restoreDetection(detection, augmentation, width))
+    );
+    Object.entries(result.timings || {}).forEach(([stage, time]) => {
+      timings[stage] = (timings[stage] || 0) + time;
+    });
+  }
+
+  return {
+    detections: fuseDetections(detections, settings, settings.augmentations.length),
+    width,
+    height,
+    timings,
+    memory: result && result.memory, // worker memory after the last pass
+  };
+};
+
+/**
+ * Render predict result, resizing canvas to the source size.
+ * @param {HTMLCanvasElement} canvasRef canvas reference
+ * @param {Object} result result of predict
+ * @param {Object} model loaded model with its metadata
+ */
+export const renderResult = (canvasRef, result, model) => {
+  if (canvasRef.width !== result.width || canvasRef.height !== result.height) {
+    canvasRef.width = result.width;
+    canvasRef.height = result.height;
+  }
+  getTask(model.metadata.task).render(canvasRef, result.detections, result);
+};
+
+/**
+ * Function run inference and do detection from source.
+ * @param {HTMLImageElement|HTMLVideoElement} source
+ * @param {Object} model loaded tensorflow.js model with its metadata
+ * @param {HTMLCanvasElement} canvasRef canvas reference
+ * @param {Object} options detection options (`confThreshold`, `nmsThreshold`), optional
+ * `tracker` following the detections across frames (detections down to a lower score are
+ * decoded to keep their tracks, only those above `confThreshold` or of a confirmed track are
+ * kept), `counter` counting the `targets` classes in regions, `minArea` ignoring smaller masks
+ * when counting, `classifier` classifying the `targets` crops as a second stage, `slicing`
+ * running sliced inference (see `predictSliced`), `tta` running test-time augmentation (see
+ * `predictTTA`), `log` recording the detections for export and an AbortSignal `signal` dropping
+ * the result of a replaced detection (sliced inference stops before its next tile)
+ * @param {VoidFunction} callback function to run after detection process, aborted or not
+ */
+export const detect = async (source, model, canvasRef, options = {}, callback = () => {}) => {
+  try {
+    const {
+      track, // InferenceLoop option, replaced by its `tracker`
+      tracker,
+      counter,
+      targets,
+      minArea,
+      classifier,
+      slicing,
+      tta,
+      log,
+      signal,
+      ...detectOptions
+    } = options; // used on this thread only
+    const { confThreshold = tracker ? tracker.options.highThreshold : undefined } = detectOptions;
+    const predictOptions = tracker
+      ? { ...detectOptions, confThreshold: Math.min(confThreshold, TRACK_LOW_THRESHOLD) }
+      : detectOptions;
+    let result;
+    if (slicing) {
+      result = await predictSliced(source, model, predictOptions, { ...slicing, signal });
+    } else if (tta) {
+      result = await predictTTA(source, model, predictOptions, tta);
+    } else {
+      result = await predict(source, model, predictOptions);
+    }
+    if (signal && signal.aborted) return; // replaced by a newer detection
+    if (tracker) {
+      // low score detections are kept only when they extend a confirmed track
+      result.detections = tracker
+        .update(result.detections, confThreshold)
+        .filter(({ score, trackId }) => score >= confThreshold || trackId !== undefined);
+    }
+    if (classifier) {
+      const { topK } = detectOptions;
+      result.detections = await runExclusive(() =>
+        classifyDetections(source, classifier, result.detections, { targets, topK })
+      );
+    }
+    const counted = filterByArea(result.detections, minArea);
+
+    if (model.onCountChange) {
+      model.onCountChange(countByClass(counted));
+    }
+    if (model.onClassify) model.onClassify(result.classes || []); // top classes of classify models
+    const start = performance.now();
+    renderResult(canvasRef, result, model); // render result
+
+    if (log) log.record(source, result);
+
+    if (counter) {
+      const counts = counter.update(counted, targets);
+      if (model.onFlowChange) model.onFlowChange(counts, [result.width, result.height]);
+    }
+
+    if (model.onStats) {
+      const { numTensors, numBytes } = result.memory || tf.memory(); // worker reports its own memory
+      const timings = { ...result.timings, render: performance.now() - start };
+      model.onStats(timings, { numTensors, numBytes });
+    }
+  } catch (error) {
+    console.error("检测处理错误:", error);
+
+    // 在canvas上显示错误信息
+    const ctx = canvasRef.getContext("2d");
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.font = "20px Arial";
+    ctx.fillStyle = "red";
+    ctx.fillText("检测处理出错: " + error.message, 10, 30);
+  } finally {
+    callback();
+  }
+};
@@ -0,0 +1,124 @@
+import { detect } from "./inference";
+import { Tracker } from "./tracker";
+
+/**
+ * Class to run detection on every frame of a video / webcam source.
+ * Only one frame is processed at a time, model and options can be swapped while running.
+ * With `options.track` the detections are followed across frames by a tracker.
+ */
+export class InferenceLoop {
+  /**
+   * @param {HTMLVideoElement} source video source
+   * @param {HTMLCanvasElement} canvas canvas to render on
+   * @param {Object} config `model` and detection `options`
+   */
+  constructor(source, canvas, { model, options = {} } = {}) {
+    this.source = source;
+    this.canvas = canvas;
+    this.model = model;
+    this.options = options;
+    this.tracker = options.track ? new Tracker() : null;
+    this.running = false; // loop started
+    this.paused = false; // loop paused by user
+    this.busy = false; // a frame is being processed
+    this.frameId = null; // requestAnimationFrame id
+  }
+
+  /**
+   * Start detecting frames, does nothing when already running.
+   */
+  start = () => {
+    this.paused = false;
+    if (this.running) return;
+    this.running = true;
+    this.schedule();
+  };
+
+  /**
+   * Stop the loop and clean the canvas.
+   */
+  stop = () => {
+    this.running = false;
+    this.paused = false;
+    if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    this.clear();
+  };
+
+  /**
+   * Clean the canvas.
+   */
+  clear = () => {
+    const ctx = this.canvas.getContext("2d");
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  };
+
+  /**
+   * Pause the loop keeping the last rendered frame.
+   */
+  pause = () => {
+    this.paused = true;
+  };
+
+  /**
+   * Resume paused loop.
+   */
+  resume = () => {
+    if (!this.paused) return;
+    this.paused = false;
+    if (this.running) this.schedule();
+  };
+
+  /**
+   * Swap model and / or options, picked up on the next frame.
+   * @param {Object} config `model` and detection `options`
+   */
+  update = ({ model, options }) => {
+    if (model && model !== this.model) {
+      this.model = model;
+      if (this.tracker) this.tracker.reset(); // track ids and classes belong to the model
+    }
+    if (options) {
+      this.options = options;
+      if (!options.track) this.tracker = null;
+      else if (!this.tracker) this.tracker = new Tracker();
+    }
+  };
+
+  /**
+   * Request next frame, unless one is already pending or processing.
+   */
+  schedule = () => {
+    if (this.frameId !== null || this.busy) return;
+    this.frameId = requestAnimationFrame(this.detectFrame);
+  };
+
+  /**
+   * Detect current frame of the source.
+   */
+  detectFrame = async () => {
+    this.frameId = null;
+    if (!this.running || this.paused) return;
+
+    // handle if source is closed
+    if (this.source.videoWidth === 0 && this.source.srcObject === null) {
+      this.stop();
+      return;
+    }
+    // video paused or ended, started again by onPlay
+    if (this.source.paused || this.source.ended) {
+      this.running = false;
+      return;
+    }
+
+    if (this.model && this.model.net) {
+      this.busy = true;
+      const options = { ...this.options, tracker: this.tracker };
+      await detect(this.source, this.model, this.canvas, options);
+      this.busy = false;
+      if (!this.running) this.clear(); // stopped while processing, drop the late frame
+    }
+
+    if (this.running && !this.paused) this.schedule(); // get another frame
+  };
+}
@@ -0,0 +1,99 @@
+import * as tf from "@tensorflow/tfjs";
+
+export const PAD_VALUE = 114; // Ultralytics letterbox grey
+
+/**
+ * Compute letterbox geometry fitting source into the model input while keeping aspect ratio.
+ * @param {Number} width source width
+ * @param {Number} height source height
+ * @param {Number} modelWidth model input width
+ * @param {Number} modelHeight model input height
+ * @returns {Object} transform `{ width, height, scale, padX, padY, resizedWidth, resizedHeight }`
+ */
+export const getLetterbox = (width, height, modelWidth, modelHeight) => {
+  const scale = Math.min(modelWidth / width, modelHeight / height);
+  const resizedWidth = Math.round(width * scale);
+  const resizedHeight = Math.round(height * scale);
+
+  return {
+    width,
+    height,
+    scale,
+    padX: Math.max(0, Math.round((modelWidth - resizedWidth) / 2 - 0.1)), // left padding, centered like Ultralytics
+    padY: Math.max(0, Math.round((modelHeight - resizedHeight) / 2 - 0.1)), // top padding
+    resizedWidth,
+    resizedHeight,
+  };
+};
+
+/**
+ * Letterbox image / frame into model input tensor.
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageData} source
+ * @param {Array[Number]} inputShape model input shape [b, h, w, c]
+ * @returns {Array} input tensor [1, h, w, 3] normalized to [0, 1] and letterbox transform
+ */
+export const letterbox = (source, inputShape) => {
+  const [modelHeight, modelWidth] = inputShape.slice(1, 3);
+  let transform;
+
+  const input = tf.tidy(() => {
+    const img = tf.browser.fromPixels(source);
+    const [h, w] = img.shape.slice(0, 2); // get source width and height
+    transform = getLetterbox(w, h, modelWidth, modelHeight);
+    const { padX, padY, resizedWidth, resizedHeight } = transform;
+
+    return tf.image
+      .resizeBilinear(img, [resizedHeight, resizedWidth]) // resize keeping aspect ratio
+      .pad(
+        [
+          [padY, modelHeight - resizedHeight - padY],
+          [padX, modelWidth - resizedWidth - padX],
+          [0, 0],
+        ],
+        PAD_VALUE
+      ) // center padding
+      .div(255.0) // normalize
+      .expandDims(0); // add batch
+  });
+
+  return [input, transform];
+};
+
+/**
+ * Map model input point back to source pixels.
+ * @param {Number} x x in model input
+ * @param {Number} y y in model input
+ * @param {Object} transform letterbox transform
+ * @returns {Array[Number]} [x, y] in source pixels
+ */
+export const toSourcePoint = (x, y, { scale, padX, padY }) => [(x - padX) / scale, (y - padY) / scale];
+
+/**
+ * Map model input box back to source pixels, clipped to the source.
+ * @param {Array[Number]} box [x1, y1, x2, y2] in model input
+ * @param {Object} transform letterbox transform
+ * @returns {Array[Number]} [x1, y1, x2, y2] in source pixels
+ */
+export const toSourceBox = ([x1, y1, x2, y2], transform) => {
+  const clip = (value, max) => Math.min(Math.max(value, 0), max);
+  const [sx1, sy1] = toSourcePoint(x1, y1, transform);
+  const [sx2, sy2] = toSourcePoint(x2, y2, transform);
+  return [
+    clip(sx1, transform.width),
+    clip(sy1, transform.height),
+    clip(sx2, transform.width),
+    clip(sy2, transform.height),
+  ];
+};
+
+/**
+ * Map model input oriented box back to source pixels. Letterbox scales both axes equally,
+ * so the rotation angle is kept as is.
+ * @param {Array[Number]} xywhr [cx, cy, w, h, angle] in model input
+ * @param {Object} transform letterbox transform
+ * @returns {Array[Number]} [cx, cy, w, h, angle] in source pixels
+ */
+export const toSourceXYWHR = ([cx, cy, w, h, angle], transform) => {
+  const [x, y] = toSourcePoint(cx, cy, transform);
+  return [x, y, w / transform.scale, h / transform.scale, angle];
+};
@@ -0,0 +1,149 @@
+import labels from "./labels.json";
+
+// labels that are treated as "people" by the counter
+const PERSON_LABELS = ["person", "human", "people", "pedestrian"];
+
+/**
+ * Convert a raw YAML scalar into a javascript value.
+ * @param {String} value raw scalar text
+ * @returns {String|Number|Boolean|null} parsed value
+ */
+const parseScalar = (value) => {
+  const text = value.trim();
+  if (text === "" || text === "~" || text === "null") return null;
+  if (text === "true" || text === "false") return text === "true";
+  if (text.startsWith("'") && text.endsWith("'") && text.length >= 2)
+    return text.slice(1, -1).replace(/''/g, "'");
+  if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) return JSON.parse(text);
+  if (text.startsWith("[") && text.endsWith("]")) {
+    const inner = text.slice(1, -1).trim();
+    return inner === "" ? [] : inner.split(",").map(parseScalar);
+  }
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+};
+
+/**
+ * Split `key: value` line into its key and raw value.
+ * @param {String} line trimmed yaml line
+ * @returns {Array} [key, value] or null if line isn't a mapping entry
+ */
+const splitEntry = (line) => {
+  const match = /^("[^"]*"|'[^']*'|[^:]+):(\s+|$)(.*)$/.exec(line);
+  if (!match) return null;
+  return [String(parseScalar(match[1])), match[3]];
+};
+
+/**
+ * Parse `metadata.yaml` exported by Ultralytics alongside the tfjs model.
+ * Only the subset written by the exporter is supported: top level scalars,
+ * block lists (`imgsz`) and one level nested maps (`names`).
+ * @param {String} text yaml content
+ * @returns {Object} parsed metadata
+ */
+export const parseMetadata = (text) => {
+  const result = {};
+  let current = null; // key of the block currently being filled
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    if (rawLine.trim() === "" || rawLine.trim().startsWith("#")) return; // skip empty & comment
+    const indented = /^\s/.test(rawLine);
+    const line = rawLine.trim();
+
+    // block list item (`- 640`), yaml allows it without indentation
+    if (line.startsWith("- ") || line === "-") {
+      if (current === null) return;
+      if (!Array.isArray(result[current])) result[current] = [];
+      result[current].push(parseScalar(line.slice(1)));
+      return;
+    }
+
+    const entry = splitEntry(line);
+    if (!entry) return;
+    const [key, value] = entry;
+
+    if (indented && current !== null) {
+      // nested map item (`0: person`)
+      if (result[current] === null) result[current] = {};
+      if (!Array.isArray(result[current])) result[current][key] = parseScalar(value);
+      return;
+    }
+
+    current = value.trim() === "" ? key : null; // block value follows on next lines
+    result[key] = parseScalar(value);
+  });
+
+  return result;
+};
+
+/**
+ * Normalize parsed metadata, making sure `task`, `imgsz`, `names` and `kpt_shape` are usable.
+ * @param {Object} raw parsed metadata (may be null)
+ * @param {Object} defaults values used when missing from metadata (e.g. `task` from models.json)
+ * @returns {Object} metadata with `names` as an ordered array, `imgsz` as [height, width] and
+ * `kpt_shape` as [keypoints, dims] of pose models (null when missing)
+ */
+export const normalizeMetadata = (raw, defaults = {}) => {
+  const metadata = { ...(raw || {}) };
+
+  // names => ordered array of class names
+  if (Array.isArray(metadata.names)) metadata.names = metadata.names.map(String);
+  else if (metadata.names && typeof metadata.names === "object") {
+    const names = [];
+    Object.entries(metadata.names).forEach(([index, name]) => {
+      names[parseInt(index, 10)] = String(name);
+    });
+    metadata.names = Array.from(names, (name, i) => (name === undefined ? `class ${i}` : name));
+  } else metadata.names = labels; // fallback to bundled COCO labels
+
+  // imgsz => [height, width]
+  if (typeof metadata.imgsz === "number") metadata.imgsz = [metadata.imgsz, metadata.imgsz];
+  if (!Array.isArray(metadata.imgsz) || metadata.imgsz.length < 2) metadata.imgsz = null;
+
+  // kpt_shape => [keypoints, dims], dims is 2 (x, y) or 3 (x, y, visibility)
+  if (!Array.isArray(metadata.kpt_shape) || metadata.kpt_shape.length !== 2) metadata.kpt_shape = null;
+
+  metadata.task = metadata.task || defaults.task || "detect";
+  return metadata;
+};
+
+/**
+ * Fetch and parse `metadata.yaml` next to the model.json
+ * @param {String} modelUrl url of model.json
+ * @param {Object} defaults values used when missing from metadata
+ * @returns {Promise<Object>} normalized metadata, defaults when metadata is unavailable
+ */
+export const loadMetadata = async (modelUrl, defaults = {}) => {
+  const url = modelUrl.replace(/[^/]*$/, "metadata.yaml");
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    return normalizeMetadata(parseMetadata(await response.text()), defaults);
+  } catch (error) {
+    console.warn(`Can't load model metadata from ${url}, using defaults.`, error);
+    return normalizeMetadata(null, defaults);
+  }
+};
+
+/**
+ * Replace dynamic dimensions of model input shape with the metadata image size.
+ * @param {Array[Number]} inputShape model input shape [b, h, w, c]
+ * @param {Object} metadata normalized metadata
+ * @returns {Array[Number]} resolved input shape
+ */
+export const resolveInputShape = (inputShape, metadata) => {
+  const [height, width] = (metadata && metadata.imgsz) || [640, 640];
+  const [, h, w, c] = inputShape;
+  return [1, h > 0 ? h : height, w > 0 ? w : width, c > 0 ? c : 3];
+};
+
+/**
+ * Indexes of the classes counted as people.
+ * @param {Array[String]} names class names
+ * @returns {Array[Number]} class indexes
+ */
+export const getPersonClasses = (names) =>
+  names.reduce((indexes, name, i) => {
+    if (PERSON_LABELS.includes(String(name).toLowerCase())) indexes.push(i);
+    return indexes;
+  }, []);
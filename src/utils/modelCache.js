@@ -0,0 +1,94 @@
+import * as tf from "@tensorflow/tfjs";
+import { loadMetadata } from "./metadata";
+
+const CACHE_PREFIX = "indexeddb://yolov8-tfjs/"; // model key => `${CACHE_PREFIX}${id}@${version}`
+
+/**
+ * 32 bit FNV-1a hash of a string.
+ * @param {String} text
+ * @returns {String} hex digest
+ */
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+};
+
+/**
+ * Split cache key into model id and version.
+ * @param {String} key model key in indexeddb
+ * @returns {Object} `{ id, version }`
+ */
+const parseKey = (key) => {
+  const name = key.slice(CACHE_PREFIX.length);
+  const at = name.lastIndexOf("@");
+  return { id: name.slice(0, at), version: name.slice(at + 1) };
+};
+
+/**
+ * List models cached in indexeddb.
+ * @returns {Promise<Array[Object]>} `{ key, id, version, size, dateSaved }` of every cached model
+ */
+export const listCachedModels = async () => {
+  const models = await tf.io.listModels();
+  return Object.entries(models)
+    .filter(([key]) => key.startsWith(CACHE_PREFIX))
+    .map(([key, info]) => ({
+      key,
+      ...parseKey(key),
+      size: (info.modelTopologyBytes || 0) + (info.weightSpecsBytes || 0) + (info.weightDataBytes || 0),
+      dateSaved: info.dateSaved,
+    }));
+};
+
+/**
+ * Remove cached model from indexeddb.
+ * @param {String} key model key
+ */
+export const removeCachedModel = (key) => tf.io.removeModel(key);
+
+/**
+ * Load model through indexeddb cache. The version is a hash of model.json and the metadata
+ * export date, so re-exported models are downloaded again and stale versions are evicted.
+ * @param {String} id model id (from models.json)
+ * @param {String} modelUrl url of model.json
+ * @param {Object} options `onProgress` callback and metadata `defaults`
+ * @returns {Promise<Object>} `{ net, metadata, cached }`
+ */
+export const loadCachedModel = async (id, modelUrl, { onProgress, defaults } = {}) => {
+  const [modelJson, metadata] = await Promise.all([
+    fetch(modelUrl).then((response) => {
+      if (!response.ok) throw new Error(`Can't load ${modelUrl}: ${response.status}`);
+      return response.text();
+    }),
+    loadMetadata(modelUrl, defaults),
+  ]);
+  const key = `${CACHE_PREFIX}${id}@${hashString(modelJson + (metadata.date || ""))}`;
+
+  const cachedModels = await listCachedModels().catch(() => []); // indexeddb may be unavailable
+  if (cachedModels.some((model) => model.key === key)) {
+    try {
+      const net = await tf.loadGraphModel(key);
+      if (onProgress) onProgress(1);
+      return { net, metadata, cached: true };
+    } catch (error) {
+      console.warn(`Can't load cached model ${key}, downloading it again.`, error);
+    }
+  }
+
+  const net = await tf.loadGraphModel(modelUrl, { onProgress }); // load model
+  try {
+    await net.save(key); // cache for the next visits
+    await Promise.all(
+      cachedModels
+        .filter((model) => model.id === id && model.key !== key)
+        .map((model) => removeCachedModel(model.key))
+    ); // evict outdated versions
+  } catch (error) {
+    console.warn(`Can't cache model ${id} in indexeddb.`, error);
+  }
+  return { net, metadata, cached: false };
+};
@@ -0,0 +1,82 @@
+import * as tf from "@tensorflow/tfjs";
+import { loadMetadata, normalizeMetadata, parseMetadata, resolveInputShape } from "./metadata";
+import { validateModel } from "./tasks";
+import { loadCachedModel } from "./modelCache";
+
+const baseName = (path) => path.split("/").pop();
+
+/**
+ * Load graph model and its metadata.yaml from url.
+ * @param {String} modelUrl url of model.json
+ * @param {Object} options `onProgress` callback and metadata `defaults`
+ * @returns {Promise<Object>} `{ net, metadata }`
+ */
+export const loadModelFromUrl = async (modelUrl, { onProgress, defaults } = {}) => {
+  const [net, metadata] = await Promise.all([
+    tf.loadGraphModel(modelUrl, { onProgress }), // load model
+    loadMetadata(modelUrl, defaults), // task, imgsz and names
+  ]);
+  return { net, metadata };
+};
+
+/**
+ * Load graph model from user selected files:
+ * model.json, every weight shard (.bin) and optionally metadata.yaml.
+ * @param {Array[File]} files selected or dropped files
+ * @param {Object} options `onProgress` callback and metadata `defaults`
+ * @returns {Promise<Object>} `{ net, metadata }`
+ */
+export const loadModelFromFiles = async (files, { onProgress, defaults } = {}) => {
+  const jsonFile = files.find((file) => file.name === "model.json");
+  if (!jsonFile) throw new Error("model.json is not provided");
+
+  // check every shard listed in model.json is provided
+  const { weightsManifest = [] } = JSON.parse(await jsonFile.text());
+  const shardNames = weightsManifest.flatMap((group) => group.paths.map(baseName));
+  const weightFiles = shardNames.map((name) => files.find((file) => file.name === name));
+  const missing = shardNames.filter((_, i) => !weightFiles[i]);
+  if (missing.length > 0) throw new Error(`Weight files are not provided: ${missing.join(", ")}`);
+
+  const metadataFile = files.find((file) => file.name === "metadata.yaml");
+  if (!metadataFile) console.warn("metadata.yaml is not provided, using defaults.");
+  const metadata = normalizeMetadata(
+    metadataFile ? parseMetadata(await metadataFile.text()) : null,
+    defaults
+  );
+
+  const net = await tf.loadGraphModel(tf.io.browserFiles([jsonFile, ...weightFiles]), {
+    onProgress,
+  });
+  return { net, metadata };
+};
+
+/**
+ * Load graph model from any supported source.
+ * @param {Object} source `{ files }` user files, `{ id, url }` cached manifest model or `{ url }`
+ * @param {Object} options `onProgress` callback and metadata `defaults`
+ * @returns {Promise<Object>} `{ net, metadata }`
+ */
+export const loadModelSource = (source, options = {}) => {
+  if (source.files) return loadModelFromFiles(source.files, options);
+  if (source.id) return loadCachedModel(source.id, source.url, options);
+  return loadModelFromUrl(source.url, options);
+};
+
+/**
+ * Warm up loaded model and check it fits the pipeline of its task.
+ * @param {tf.GraphModel} net loaded graph model
+ * @param {Object} metadata normalized metadata
+ * @returns {Array[Number]} resolved model input shape
+ */
+export const warmupModel = (net, metadata) => {
+  // 获取模型输入形状，动态维度使用 metadata 中的 imgsz
+  const inputShape = resolveInputShape(net.inputs[0].shape, metadata);
+
+  tf.tidy(() => {
+    const dummyInput = tf.ones(inputShape); // 根据输入形状创建测试输入
+    const warmupResults = net.execute(dummyInput);
+    validateModel(metadata, warmupResults); // 检查模型任务和输出形状
+  }); // cleanup memory
+
+  return inputShape;
+};
@@ -0,0 +1,62 @@
+// thresholds used when a manifest entry doesn't set its own, `nms` null uses the task default
+const DEFAULT_THRESHOLDS = { conf: 0.35, nms: null };
+
+/**
+ * Check the NMS IoU threshold of a manifest entry, an invalid one only affects its entry.
+ * @param {Object} entry raw manifest entry
+ * @param {Number} nms IoU threshold, null for the task default
+ * @returns {Number} nms, null (task default) when it isn't in (0, 1]
+ */
+const validateNms = (entry, nms) => {
+  if (nms === null || (typeof nms === "number" && nms > 0 && nms <= 1)) return nms;
+  console.warn(
+    `Model ${entry.id}: thresholds.nms ${nms} isn't an IoU in (0, 1], using the task default.`
+  );
+  return null;
+};
+
+/**
+ * Normalize a model entry of the manifest.
+ * @param {Object} entry raw manifest entry
+ * @returns {Object} entry with `id`, `name`, `path`, `task`, `description` and `thresholds`
+ * (`conf`, `nms`)
+ */
+const normalizeEntry = (entry) => {
+  if (!entry || !entry.id) throw new Error(`Model entry without id: ${JSON.stringify(entry)}`);
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...(entry.thresholds || {}) };
+  thresholds.nms = validateNms(entry, thresholds.nms);
+  return {
+    id: String(entry.id),
+    name: entry.name || entry.id,
+    path: entry.path || `${entry.id}_web_model`,
+    task: entry.task || null, // metadata.yaml takes precedence
+    description: entry.description || "",
+    thresholds,
+  };
+};
+
+/**
+ * Fetch the model catalogue (`models.json`) served next to the app.
+ * @param {String} url manifest url
+ * @returns {Promise<Object>} `{ models, defaultId }`
+ */
+export const loadManifest = async (url = new URL("models.json", window.location.href).href) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Can't load ${url}: ${response.status} ${response.statusText}`);
+
+  const manifest = await response.json();
+  const models = (manifest.models || []).map(normalizeEntry);
+  if (models.length === 0) throw new Error(`No model registered in ${url}`);
+
+  const defaultId = models.some((entry) => entry.id === manifest.default)
+    ? manifest.default
+    : models[0].id;
+  return { models, defaultId };
+};
+
+/**
+ * Resolve model.json url of a manifest entry.
+ * @param {Object} entry normalized manifest entry
+ * @returns {String} absolute url of model.json
+ */
+export const getModelUrl = (entry) => new URL(`${entry.path}/model.json`, window.location.href).href;
@@ -0,0 +1,79 @@
+import {
+  cornersToAABB,
+  cornersToPolygon,
+  calculateBoxIoU,
+  calculatePolygonArea,
+  calculatePolygonIoU,
+} from "./geometry";
+
+/**
+ * Greedy non maximum suppression for oriented boxes.
+ * Candidates are capped to the `topK` highest scores, and the polygon IoU is only computed
+ * for pairs whose axis aligned bounds overlap.
+ * @param {Array[Object]} boxes boxes with `corners`, `score` and `classId`
+ * @param {Number} iouThreshold boxes overlapping a kept box more than this are suppressed
+ * @param {Object} options `topK` candidates kept before nms, `classAgnostic` to suppress across classes
+ * @returns {Array[Object]} kept boxes sorted by score
+ */
+export const rotatedNMS = (boxes, iouThreshold, { topK = 3000, classAgnostic = false } = {}) => {
+  const sorted = [...boxes].sort((a, b) => b.score - a.score).slice(0, topK); // stable sort
+  const aabbs = sorted.map((box) => cornersToAABB(box.corners));
+  const polygons = new Array(sorted.length); // computed lazily, most boxes never need it
+  const areas = new Array(sorted.length);
+  const getPolygon = (i) => {
+    if (!polygons[i]) {
+      polygons[i] = cornersToPolygon(sorted[i].corners);
+      areas[i] = calculatePolygonArea(polygons[i]);
+    }
+    return polygons[i];
+  };
+
+  const suppressed = new Uint8Array(sorted.length);
+  const kept = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    if (suppressed[i]) continue;
+    kept.push(sorted[i]);
+    const [ax1, ay1, ax2, ay2] = aabbs[i];
+
+    for (let j = i + 1; j < sorted.length; j++) {
+      if (suppressed[j]) continue;
+      if (!classAgnostic && sorted[i].classId !== sorted[j].classId) continue;
+
+      // disjoint bounds => polygons don't intersect (IoU 0)
+      const [bx1, by1, bx2, by2] = aabbs[j];
+      if (bx1 >= ax2 || bx2 <= ax1 || by1 >= ay2 || by2 <= ay1) continue;
+
+      const iou = calculatePolygonIoU(getPolygon(i), getPolygon(j), areas[i], areas[j]);
+      if (iou > iouThreshold) suppressed[j] = 1;
+    }
+  }
+
+  return kept;
+};
+
+/**
+ * Greedy non maximum suppression for axis aligned boxes.
+ * @param {Array[Object]} boxes boxes with `bbox` [x1, y1, x2, y2], `score` and `classId`
+ * @param {Number} iouThreshold boxes overlapping a kept box more than this are suppressed
+ * @param {Object} options `classAgnostic` to suppress across classes
+ * @returns {Array[Object]} kept boxes sorted by score
+ */
+export const boxNMS = (boxes, iouThreshold, { classAgnostic = false } = {}) => {
+  const sorted = [...boxes].sort((a, b) => b.score - a.score);
+  const suppressed = new Uint8Array(sorted.length);
+  const kept = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    if (suppressed[i]) continue;
+    kept.push(sorted[i]);
+
+    for (let j = i + 1; j < sorted.length; j++) {
+      if (suppressed[j]) continue;
+      if (!classAgnostic && sorted[i].classId !== sorted[j].classId) continue;
+      if (calculateBoxIoU(sorted[i].bbox, sorted[j].bbox) > iouThreshold) suppressed[j] = 1;
+    }
+  }
+
+  return kept;
+};
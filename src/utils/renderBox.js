@@ -1,14 +1,9 @@
-import labels from "./labels.json";
-
 /**
  * Render prediction boxes
  * @param {HTMLCanvasElement} canvasRef canvas tag reference
- * @param {Array} boxes_data boxes array
- * @param {Array} scores_data scores array
- * @param {Array} classes_data class array
- * @param {Array[Number]} ratios boxes ratio [xRatio, yRatio]
+ * @param {Array[Object]} detections detections with `bbox` [x1, y1, x2, y2] in canvas pixels
  */
-export const renderBoxes = (canvasRef, boxes_data, scores_data, classes_data, ratios) => {
+export const renderBoxes = (canvasRef, detections) => {
   const ctx = canvasRef.getContext("2d");
   ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height); // clean canvas
 
@@ -22,17 +17,13 @@ export const renderBoxes = (canvasRef, boxes_data, scores_data, classes_data, ra
   ctx.font = font;
   ctx.textBaseline = "top";
 
-  for (let i = 0; i < scores_data.length; ++i) {
-    // filter based on class threshold
-    const klass = labels[classes_data[i]];
-    const color = colors.get(classes_data[i]);
-    const score = (scores_data[i] * 100).toFixed(1);
-
-    let [y1, x1, y2, x2] = boxes_data.slice(i * 4, (i + 1) * 4);
-    x1 *= ratios[0];
-    x2 *= ratios[0];
-    y1 *= ratios[1];
-    y2 *= ratios[1];
+  detections.forEach(({ bbox, score: rawScore, classId, label, trackId, trajectory, classes }) => {
+    const color = colors.get(classId);
+    const score = (rawScore * 100).toFixed(1);
+    let klass = trackId === undefined ? label : `${label} #${trackId}`;
+    if (classes) klass += ` [${classes[0].label} ${(classes[0].score * 100).toFixed(0)}%]`; // second stage
+
+    const [x1, y1, x2, y2] = bbox;
     const width = x2 - x1;
     const height = y2 - y1;
 
@@ -44,6 +35,7 @@ export const renderBoxes = (canvasRef, boxes_data, scores_data, classes_data, ra
     ctx.strokeStyle = color;
     ctx.lineWidth = Math.max(Math.min(ctx.canvas.width, ctx.canvas.height) / 200, 2.5);
     ctx.strokeRect(x1, y1, width, height);
+    if (trajectory) renderTrajectory(ctx, trajectory);
 
     // Draw the label background.
     ctx.fillStyle = color;
@@ -60,7 +52,174 @@ export const renderBoxes = (canvasRef, boxes_data, scores_data, classes_data, ra
     // Draw labels
     ctx.fillStyle = "#ffffff";
     ctx.fillText(klass + " - " + score + "%", x1 - 1, yText < 0 ? 0 : yText);
-  }
+  });
+};
+
+/**
+ * Render oriented prediction boxes.
+ * @param {HTMLCanvasElement} canvasRef canvas tag reference
+ * @param {Array[Object]} detections detections with `corners` [x1, y1, ..., x4, y4] in canvas pixels
+ */
+export const renderOBBBoxes = (canvasRef, detections) => {
+  const ctx = canvasRef.getContext("2d");
+  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height); // clean canvas
+
+  const colors = new Colors();
+
+  detections.forEach(({ corners, score, classId, label, trackId, trajectory }) => {
+    // 设置绘图样式 - 使用类别对应的颜色
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = colors.get(classId);
+    ctx.fillStyle = colors.get(classId);
+
+    // 绘制旋转的边界框
+    ctx.beginPath();
+    ctx.moveTo(corners[0], corners[1]);
+    ctx.lineTo(corners[2], corners[3]);
+    ctx.lineTo(corners[4], corners[5]);
+    ctx.lineTo(corners[6], corners[7]);
+    ctx.closePath();
+    ctx.stroke();
+    if (trajectory) renderTrajectory(ctx, trajectory);
+
+    // 绘制标签, 跟踪时附带 track id
+    const name = trackId === undefined ? label : `${label} #${trackId}`;
+    const text = `${name} ${(score * 100).toFixed(1)}%`;
+    ctx.font = "12px Arial";
+    ctx.textBaseline = "alphabetic";
+    const textWidth = ctx.measureText(text).width;
+    ctx.fillRect(corners[0], corners[1] - 17, textWidth + 4, 17);
+    ctx.fillStyle = "#000000";
+    ctx.fillText(text, corners[0] + 2, corners[1] - 5);
+  });
+};
+
+/**
+ * Render prediction boxes with their translucent instance masks drawn underneath.
+ * @param {HTMLCanvasElement} canvasRef canvas tag reference
+ * @param {Array[Object]} detections detections with `bbox` and `mask` `{ x, y, width, height, data }`
+ * in canvas pixels
+ */
+export const renderSegments = (canvasRef, detections) => {
+  renderBoxes(canvasRef, detections);
+
+  const ctx = canvasRef.getContext("2d");
+  const colors = new Colors();
+  const maskCanvas = document.createElement("canvas"); // reused for every mask
+
+  ctx.save();
+  ctx.globalCompositeOperation = "destination-over"; // keep boxes and labels on top
+  detections.forEach(({ mask, classId }) => {
+    if (!mask) return;
+    const [r, g, b] = Colors.hexToRgb(colors.get(classId));
+    const color = new Uint32Array(new Uint8ClampedArray([r, g, b, 128]).buffer)[0]; // 50% opacity
+    const image = new ImageData(mask.width, mask.height);
+    const pixels = new Uint32Array(image.data.buffer); // one RGBA pixel per item
+    mask.data.forEach((value, i) => {
+      if (value !== 0) pixels[i] = color;
+    });
+
+    maskCanvas.width = mask.width;
+    maskCanvas.height = mask.height;
+    maskCanvas.getContext("2d").putImageData(image, 0, 0);
+    ctx.drawImage(maskCanvas, mask.x, mask.y);
+  });
+  ctx.restore();
+};
+
+// COCO keypoints: 0-4 face, 5-10 arms, 11-16 legs (Ultralytics pose palette)
+const FACE_COLOR = "#00FF00";
+const ARM_COLOR = "#FF8000";
+const BODY_COLOR = "#FF33FF";
+const LEG_COLOR = "#3399FF";
+const KEYPOINT_COLORS = [
+  ...new Array(5).fill(FACE_COLOR),
+  ...new Array(6).fill(ARM_COLOR),
+  ...new Array(6).fill(LEG_COLOR),
+];
+const SKELETON = [
+  [[15, 13], LEG_COLOR], [[13, 11], LEG_COLOR], [[16, 14], LEG_COLOR], [[14, 12], LEG_COLOR],
+  [[11, 12], BODY_COLOR], [[5, 11], BODY_COLOR], [[6, 12], BODY_COLOR],
+  [[5, 6], ARM_COLOR], [[5, 7], ARM_COLOR], [[6, 8], ARM_COLOR], [[7, 9], ARM_COLOR],
+  [[8, 10], ARM_COLOR],
+  [[1, 2], FACE_COLOR], [[0, 1], FACE_COLOR], [[0, 2], FACE_COLOR], [[1, 3], FACE_COLOR],
+  [[2, 4], FACE_COLOR], [[3, 5], FACE_COLOR], [[4, 6], FACE_COLOR],
+]; // prettier-ignore
+const KEYPOINT_THRESHOLD = 0.5; // keypoints below this score are hidden
+
+/**
+ * Render prediction boxes with their keypoints, joined by the COCO skeleton for 17 keypoints models.
+ * @param {HTMLCanvasElement} canvasRef canvas tag reference
+ * @param {Array[Object]} detections detections with `bbox` and `keypoints` [[x, y, score], ...]
+ * in canvas pixels
+ */
+export const renderPoses = (canvasRef, detections) => {
+  renderBoxes(canvasRef, detections);
+
+  const ctx = canvasRef.getContext("2d");
+  const size = Math.max(Math.min(ctx.canvas.width, ctx.canvas.height) / 150, 2); // scale with the source
+  const visible = ([, , score]) => score >= KEYPOINT_THRESHOLD;
+
+  ctx.save();
+  detections.forEach(({ keypoints }) => {
+    if (!keypoints) return;
+
+    if (keypoints.length === 17) {
+      ctx.lineWidth = size;
+      SKELETON.forEach(([[a, b], color]) => {
+        if (!visible(keypoints[a]) || !visible(keypoints[b])) return;
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(keypoints[a][0], keypoints[a][1]);
+        ctx.lineTo(keypoints[b][0], keypoints[b][1]);
+        ctx.stroke();
+      });
+    }
+
+    keypoints.forEach((keypoint, i) => {
+      if (!visible(keypoint)) return;
+      ctx.fillStyle = KEYPOINT_COLORS[i] || FACE_COLOR;
+      ctx.beginPath();
+      ctx.arc(keypoint[0], keypoint[1], size * 1.5, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+  });
+  ctx.restore();
+};
+
+/**
+ * Render top classes of a classified source in the top left corner.
+ * @param {HTMLCanvasElement} canvasRef canvas tag reference
+ * @param {Array[Object]} classes `{ label, score }` by descending score
+ */
+export const renderClasses = (canvasRef, classes) => {
+  const ctx = canvasRef.getContext("2d");
+  ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height); // clean canvas
+
+  const fontSize = Math.max(Math.round(Math.max(ctx.canvas.width, ctx.canvas.height) / 40), 14);
+  const lines = classes.map(({ label, score }) => `${label} ${(score * 100).toFixed(1)}%`);
+  ctx.font = `${fontSize}px Arial`;
+  ctx.textBaseline = "top";
+  const textWidth = Math.max(0, ...lines.map((line) => ctx.measureText(line).width));
+
+  ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+  ctx.fillRect(0, 0, textWidth + fontSize, lines.length * fontSize * 1.3 + fontSize / 2);
+  lines.forEach((line, i) => {
+    ctx.fillStyle = i === 0 ? "#2ecc71" : "#ffffff"; // top 1 highlighted
+    ctx.fillText(line, fontSize / 2, fontSize / 2 + i * fontSize * 1.3);
+  });
+};
+
+// 绘制跟踪轨迹, 使用当前的线条颜色
+const renderTrajectory = (ctx, trajectory) => {
+  if (trajectory.length < 2) return;
+  ctx.save();
+  ctx.lineWidth = 2;
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  trajectory.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  ctx.stroke();
+  ctx.restore();
 };
 
 class Colors {
@@ -101,4 +260,11 @@ class Colors {
         )}, ${alpha})`
       : null;
   };
+
+  static hexToRgb = (hex) => {
+    var result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result
+      ? [parseInt(result[1], 16), parseInt(result[2], 16), parseInt(result[3], 16)]
+      : null;
+  };
 }
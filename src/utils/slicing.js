@@ -0,0 +1,72 @@
+import { translateBox } from "./geometry";
+import { rotatedNMS, boxNMS } from "./nms";
+
+export const DEFAULT_SLICING = {
+  tileSize: 1024, // DOTA models are trained on 1024 x 1024 tiles
+  overlap: 0.2, // fraction of the tile shared with its neighbours
+  mergeThreshold: 0.5, // IoU above which detections of neighbouring tiles are merged
+  fullImage: true, // also detect on the whole image, keeping objects larger than a tile
+};
+
+/**
+ * Start offsets of tiles along an axis, the last tile is aligned with the border.
+ * @param {Number} size source size along the axis
+ * @param {Number} tileSize tile size
+ * @param {Number} overlap fraction of overlapping tiles
+ * @returns {Array[Number]} tile starts
+ */
+const getStarts = (size, tileSize, overlap) => {
+  if (size <= tileSize) return [0];
+  const step = Math.max(Math.round(tileSize * (1 - overlap)), 1);
+  const starts = [];
+  for (let start = 0; start + tileSize < size; start += step) starts.push(start);
+  starts.push(size - tileSize);
+  return [...new Set(starts)];
+};
+
+/**
+ * Split source into overlapping tiles, SAHI style.
+ * @param {Number} width source width
+ * @param {Number} height source height
+ * @param {Number} tileSize tile size in source pixels
+ * @param {Number} overlap fraction of the tile shared with its neighbours, in [0, 1)
+ * @returns {Array[Array[Number]]} tiles [x1, y1, x2, y2] in source pixels, row by row
+ */
+export const getSlices = (width, height, tileSize, overlap) => {
+  const xs = getStarts(width, tileSize, overlap);
+  const ys = getStarts(height, tileSize, overlap);
+  return ys.flatMap((y) =>
+    xs.map((x) => [x, y, Math.min(x + tileSize, width), Math.min(y + tileSize, height)])
+  );
+};
+
+/**
+ * Move tile detection to source pixels.
+ * @param {Object} detection detection in tile pixels
+ * @param {Number} dx tile left offset
+ * @param {Number} dy tile top offset
+ * @returns {Object} detection with its box, keypoints and mask in source pixels
+ */
+export const toGlobalDetection = (detection, dx, dy) => {
+  const global = { ...detection, ...translateBox(detection, dx, dy) };
+  if (detection.keypoints)
+    global.keypoints = detection.keypoints.map(([x, y, score]) => [x + dx, y + dy, score]);
+  if (detection.mask)
+    global.mask = { ...detection.mask, x: detection.mask.x + dx, y: detection.mask.y + dy };
+  return global;
+};
+
+/**
+ * Merge duplicated detections of overlapping tiles, oriented boxes with rotated NMS.
+ * @param {Array[Object]} detections detections of every tile in source pixels
+ * @param {Number} iouThreshold detections of the same class overlapping more than this are merged
+ * @returns {Array[Object]} kept detections sorted by score
+ */
+export const mergeDetections = (detections, iouThreshold) => {
+  const oriented = detections.filter((detection) => detection.corners);
+  const boxes = detections.filter((detection) => !detection.corners);
+  return [
+    ...rotatedNMS(oriented, iouThreshold, { topK: oriented.length }),
+    ...boxNMS(boxes, iouThreshold),
+  ].sort((a, b) => b.score - a.score);
+};
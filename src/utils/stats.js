@@ -0,0 +1,63 @@
+const WINDOW = 30; // frames averaged
+const LEAK_FRAMES = 10; // consecutive frames with a growing tensor count reported as a leak
+
+export const STAGES = ["preprocess", "inference", "decode", "render"];
+
+/**
+ * Class to collect per frame performance: fps, stage latency and tensor memory.
+ */
+export class PerfStats {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget recorded frames, e.g. when the model changes.
+   */
+  reset = () => {
+    this.frames = []; // last frames `{ time, timings }`
+    this.memory = null; // tensor memory after the last frame
+    this.growing = 0; // consecutive frames the tensor count grew
+    this.growthStart = 0; // tensor count before it started growing
+  };
+
+  /**
+   * Record a processed frame.
+   * @param {Object} timings milliseconds spent in every stage
+   * @param {Object} memory `{ numTensors, numBytes }` after the frame
+   * @param {Number} time frame end timestamp
+   */
+  record = (timings, memory, time = performance.now()) => {
+    this.frames.push({ time, timings });
+    if (this.frames.length > WINDOW) this.frames.shift();
+
+    if (this.memory && memory.numTensors > this.memory.numTensors) {
+      if (this.growing === 0) this.growthStart = this.memory.numTensors;
+      this.growing++;
+    } else this.growing = 0;
+    this.memory = memory;
+  };
+
+  /**
+   * Averaged stats of the recorded frames.
+   * @returns {Object} `{ frames, fps, timings, memory, leak }`, leak is the tensor growth
+   * when the count grew for `LEAK_FRAMES` frames in a row, 0 otherwise
+   */
+  snapshot = () => {
+    const count = this.frames.length;
+    const elapsed = count > 1 ? this.frames[count - 1].time - this.frames[0].time : 0;
+    const timings = {};
+    STAGES.forEach((stage) => {
+      const values = this.frames.map((frame) => frame.timings[stage] || 0);
+      timings[stage] = count > 0 ? values.reduce((a, b) => a + b, 0) / count : 0;
+    });
+
+    return {
+      frames: count,
+      fps: elapsed > 0 ? ((count - 1) * 1000) / elapsed : 0,
+      timings,
+      memory: this.memory,
+      leak: this.growing >= LEAK_FRAMES ? this.memory.numTensors - this.growthStart : 0,
+    };
+  };
+}
@@ -0,0 +1,62 @@
+import * as detectTask from "./detect";
+import * as obbTask from "./detectOBB";
+import * as segmentTask from "./detectSeg";
+import * as poseTask from "./detectPose";
+import * as classifyTask from "./classify";
+
+/**
+ * Registry of supported model tasks keyed by the `task` field of metadata.yaml.
+ * Every task maps to a pipeline of:
+ * - `preprocess(source, model)` => [input tensor, transform]
+ * - `decode(outputs, model, transform, options)` => Promise of `{ detections, width, height }`
+ *   with detections in source pixels (classification adds the top `classes` of the source)
+ * - `render(canvas, detections, result)` draw detections on a canvas sized as the source
+ * - `validateOutput(outputShapes, metadata)` => reason why outputs aren't supported or null
+ */
+const tasks = {};
+
+// tasks exported by Ultralytics that don't have a pipeline yet
+const PLANNED_TASKS = [];
+
+/**
+ * Register pipeline for a model task.
+ * @param {String} name task name as written in metadata.yaml
+ * @param {Object} pipeline task pipeline
+ */
+export const registerTask = (name, pipeline) => {
+  ["preprocess", "decode", "render", "validateOutput"].forEach((key) => {
+    if (typeof pipeline[key] !== "function") throw new Error(`Task "${name}" is missing ${key}()`);
+  });
+  tasks[name] = pipeline;
+};
+
+/**
+ * Get pipeline of a model task.
+ * @param {String} name task name as written in metadata.yaml
+ * @returns {Object} task pipeline
+ */
+export const getTask = (name) => {
+  if (tasks[name]) return tasks[name];
+  if (PLANNED_TASKS.includes(name)) throw new Error(`Model task "${name}" is not supported yet`);
+  throw new Error(
+    `Unknown model task "${name}", supported tasks: ${Object.keys(tasks).join(", ")}`
+  );
+};
+
+/**
+ * Check the model outputs fit the pipeline of its declared task.
+ * @param {Object} metadata normalized metadata
+ * @param {tf.Tensor|Array[tf.Tensor]} outputs model outputs (e.g. from warming up)
+ */
+export const validateModel = (metadata, outputs) => {
+  const task = getTask(metadata.task);
+  const outputShapes = (Array.isArray(outputs) ? outputs : [outputs]).map((output) => output.shape);
+  const reason = task.validateOutput(outputShapes, metadata);
+  if (reason) throw new Error(`Unsupported output for "${metadata.task}" model: ${reason}`);
+};
+
+registerTask("detect", detectTask);
+registerTask("obb", obbTask);
+registerTask("segment", segmentTask);
+registerTask("pose", poseTask);
+registerTask("classify", classifyTask);
@@ -0,0 +1,145 @@
+import { boxCenter, calculateDetectionIoU, translateBox } from "./geometry";
+
+const DEFAULTS = {
+  highThreshold: 0.5, // detections matched first, only these can start new tracks (the
+  // confidence threshold of the detections when given to update)
+  matchThreshold: 0.3, // minimum IoU between predicted track and detection
+  maxAge: 30, // frames a lost track is kept before being removed
+  minHits: 3, // matched frames before a track is reported
+  trajectoryLength: 30, // center points kept per track
+  smoothing: 0.5, // weight of the previous velocity
+};
+
+/**
+ * Greedily match tracks and detections of the same class, highest IoU first.
+ * @param {Array[Object]} tracks tracks with their `predicted` box
+ * @param {Array[Object]} detections detections
+ * @param {Number} threshold minimum IoU
+ * @returns {Object} `{ matches, unmatchedTracks, unmatchedDetections }`,
+ * matches are [track, detection] pairs
+ */
+const associate = (tracks, detections, threshold) => {
+  const pairs = [];
+  tracks.forEach((track, t) => {
+    detections.forEach((detection, d) => {
+      if (track.detection.classId !== detection.classId) return;
+      const iou = calculateDetectionIoU(track.predicted, detection);
+      if (iou >= threshold) pairs.push([iou, t, d]);
+    });
+  });
+  pairs.sort((a, b) => b[0] - a[0]);
+
+  const matchedTracks = new Set();
+  const matchedDetections = new Set();
+  const matches = [];
+  pairs.forEach(([, t, d]) => {
+    if (matchedTracks.has(t) || matchedDetections.has(d)) return;
+    matchedTracks.add(t);
+    matchedDetections.add(d);
+    matches.push([tracks[t], detections[d]]);
+  });
+
+  return {
+    matches,
+    unmatchedTracks: tracks.filter((_, t) => !matchedTracks.has(t)),
+    unmatchedDetections: detections.filter((_, d) => !matchedDetections.has(d)),
+  };
+};
+
+/**
+ * Class to follow objects across video frames, assigning stable track ids.
+ * ByteTrack style association: confident detections are matched first, low score detections
+ * then keep the remaining tracks alive. Tracks move with a constant velocity model and
+ * rotated boxes (`corners`) are matched with polygon IoU.
+ */
+export class Tracker {
+  /**
+   * @param {Object} options overrides of the defaults (`highThreshold`, `matchThreshold`,
+   * `maxAge`, `minHits`, `trajectoryLength`, `smoothing`)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.reset();
+  }
+
+  /**
+   * Drop every track, e.g. when the source or model changes.
+   */
+  reset = () => {
+    this.tracks = [];
+    this.nextId = 1;
+    this.frame = 0;
+  };
+
+  /**
+   * Update tracks with the detections of a new frame.
+   * @param {Array[Object]} detections decoded detections with `bbox` or `corners`
+   * @param {Number} highThreshold score of the confident detections, defaults to the option
+   * @returns {Array[Object]} every detection of this frame, the ones of confirmed tracks with
+   * `trackId`, `age` (frames since the track started) and `trajectory` (centers, oldest first),
+   * the others (unconfirmed or unmatched) unchanged
+   */
+  update = (detections, highThreshold = this.options.highThreshold) => {
+    const { matchThreshold, maxAge, minHits, trajectoryLength, smoothing } = this.options;
+    this.frame++;
+
+    // predict where every track is in this frame
+    this.tracks.forEach((track) => {
+      const frames = track.missed + 1;
+      const [vx, vy] = track.velocity;
+      track.predicted = translateBox(track.detection, vx * frames, vy * frames);
+    });
+
+    const high = detections.filter((detection) => detection.score >= highThreshold);
+    const low = detections.filter((detection) => detection.score < highThreshold);
+    const first = associate(this.tracks, high, matchThreshold);
+    const second = associate(first.unmatchedTracks, low, matchThreshold);
+
+    [...first.matches, ...second.matches].forEach(([track, detection]) => {
+      const [px, py] = boxCenter(track.detection);
+      const [x, y] = boxCenter(detection);
+      const frames = track.missed + 1;
+      track.velocity = [
+        smoothing * track.velocity[0] + (1 - smoothing) * ((x - px) / frames),
+        smoothing * track.velocity[1] + (1 - smoothing) * ((y - py) / frames),
+      ];
+      track.detection = detection;
+      track.hits++;
+      track.missed = 0;
+      track.trajectory.push([x, y]);
+      if (track.trajectory.length > trajectoryLength) track.trajectory.shift();
+    });
+    second.unmatchedTracks.forEach((track) => track.missed++);
+
+    // remove lost tracks, start tracks from unmatched confident detections
+    this.tracks = this.tracks.filter((track) => track.missed <= maxAge);
+    first.unmatchedDetections.forEach((detection) => {
+      this.tracks.push({
+        id: this.nextId++,
+        detection,
+        velocity: [0, 0],
+        hits: 1,
+        missed: 0,
+        age: 0,
+        trajectory: [boxCenter(detection)],
+      });
+    });
+    this.tracks.forEach((track) => track.age++);
+
+    const confirmed = new Map(
+      this.tracks
+        .filter((track) => track.missed === 0 && (track.hits >= minHits || this.frame <= minHits))
+        .map((track) => [track.detection, track])
+    );
+    return detections.map((detection) => {
+      const track = confirmed.get(detection);
+      if (!track) return detection;
+      return {
+        ...detection,
+        trackId: track.id,
+        age: track.age,
+        trajectory: [...track.trajectory],
+      };
+    });
+  };
+}
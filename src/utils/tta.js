@@ -0,0 +1,147 @@
+import { boxCenter, calculateDetectionIoU, convertToCorners } from "./geometry";
+import { mergeDetections } from "./slicing";
+
+// Ultralytics augmented inference: original, flipped at 0.83 and 0.67 scale
+export const TTA_AUGMENTATIONS = [
+  { scale: 1, flip: false },
+  { scale: 0.83, flip: true },
+  { scale: 0.67, flip: false },
+];
+
+export const DEFAULT_TTA = {
+  augmentations: TTA_AUGMENTATIONS,
+  method: "wbf", // "wbf" (weighted box fusion) or "nms"
+  iouThreshold: 0.55, // detections of the same class overlapping more than this are fused
+};
+
+// COCO keypoints swapped under horizontal flip (left eye <=> right eye, ...)
+const COCO_FLIP_INDEX = [0, 2, 1, 4, 3, 6, 5, 8, 7, 10, 9, 12, 11, 14, 13, 16, 15];
+
+/**
+ * Draw the augmented source: scaled from the top left corner, mirrored when flipped, the rest of
+ * the canvas padded with gray like the Ultralytics `scale_img`.
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+ * @param {HTMLCanvasElement} canvas canvas to draw on, resized to the source size
+ * @param {Object} augmentation `{ scale, flip }`
+ * @param {Number} width source width
+ * @param {Number} height source height
+ */
+export const drawAugmented = (source, canvas, { scale, flip }, width, height) => {
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "rgb(114, 114, 114)";
+  ctx.fillRect(0, 0, width, height);
+  ctx.setTransform(flip ? -scale : scale, 0, 0, scale, flip ? scale * width : 0, 0);
+  ctx.drawImage(source, 0, 0, width, height);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+};
+
+/**
+ * Map a detection of the augmented source back to source pixels.
+ * @param {Object} detection detection in augmented pixels
+ * @param {Object} augmentation `{ scale, flip }` of the pass
+ * @param {Number} width source width
+ * @returns {Object} detection with its box and keypoints in source pixels, the angle of oriented
+ * boxes is mirrored when flipped
+ */
+export const restoreDetection = (detection, { scale, flip }, width) => {
+  const toX = (x) => (flip ? width - x / scale : x / scale);
+  const restored = { ...detection };
+
+  if (detection.bbox) {
+    const [x1, y1, x2, y2] = detection.bbox.map((value) => value / scale);
+    restored.bbox = flip ? [width - x2, y1, width - x1, y2] : [x1, y1, x2, y2];
+  }
+  if (detection.corners) {
+    // rebuild corners from xywhr to keep their order (top left first, clockwise)
+    const [cx, cy] = boxCenter(detection);
+    const [x1, y1, x2, y2, x3, y3] = detection.corners;
+    const w = Math.hypot(x2 - x1, y2 - y1) / scale;
+    const h = Math.hypot(x3 - x2, y3 - y2) / scale;
+    const angle = flip ? -detection.angle : detection.angle;
+    restored.corners = convertToCorners(toX(cx), cy / scale, w, h, angle);
+    restored.angle = angle;
+  }
+  if (detection.keypoints) {
+    const keypoints = detection.keypoints.map(([x, y, score]) => [toX(x), y / scale, score]);
+    restored.keypoints =
+      flip && keypoints.length === COCO_FLIP_INDEX.length
+        ? COCO_FLIP_INDEX.map((index) => keypoints[index])
+        : keypoints;
+  }
+  return restored;
+};
+
+/**
+ * Score weighted average of the members of a cluster.
+ * @param {Array[Object]} members fused detections
+ * @param {Function} getValues values of a detection
+ * @returns {Array[Number]} weighted values
+ */
+const weightedAverage = (members, getValues) => {
+  const total = members.reduce((sum, { score }) => sum + score, 0);
+  return getValues(members[0]).map((_, i) =>
+    members.reduce((sum, member) => sum + getValues(member)[i] * member.score, 0) / total
+  );
+};
+
+/**
+ * Weighted box fusion: cluster overlapping detections of the same class and average their boxes
+ * and keypoints by score. Oriented boxes keep the corners of their best member, averaging angles
+ * would break on their period.
+ * @param {Array[Object]} detections detections of every pass in source pixels
+ * @param {Number} iouThreshold detections overlapping a cluster more than this join it
+ * @param {Number} numPasses number of augmented passes, scores of clusters found by fewer passes
+ * are lowered
+ * @returns {Array[Object]} fused detections sorted by score
+ */
+export const weightedBoxFusion = (detections, iouThreshold, numPasses = 1) => {
+  const clusters = [];
+  [...detections]
+    .sort((a, b) => b.score - a.score)
+    .forEach((detection) => {
+      let best = null;
+      let bestIoU = iouThreshold;
+      clusters.forEach((cluster) => {
+        if (cluster.fused.classId !== detection.classId) return;
+        const iou = calculateDetectionIoU(cluster.fused, detection);
+        if (iou > bestIoU) {
+          best = cluster;
+          bestIoU = iou;
+        }
+      });
+      if (!best) {
+        clusters.push({ fused: detection, members: [detection] });
+        return;
+      }
+      best.members.push(detection);
+      best.fused = { ...best.fused };
+      if (detection.bbox) best.fused.bbox = weightedAverage(best.members, ({ bbox }) => bbox);
+    });
+
+  return clusters
+    .map(({ fused, members }) => {
+      const score = members.reduce((sum, member) => sum + member.score, 0);
+      const result = { ...fused, score: score / Math.max(members.length, numPasses) };
+      if (fused.keypoints) {
+        result.keypoints = fused.keypoints.map((_, k) =>
+          weightedAverage(members, ({ keypoints }) => keypoints[k])
+        );
+      }
+      return result;
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Fuse the detections of every augmented pass.
+ * @param {Array[Object]} detections detections of every pass in source pixels
+ * @param {Object} tta `method` ("wbf" or "nms") and `iouThreshold`
+ * @param {Number} numPasses number of augmented passes
+ * @returns {Array[Object]} fused detections sorted by score
+ */
+export const fuseDetections = (detections, { method, iouThreshold }, numPasses) =>
+  method === "nms"
+    ? mergeDetections(detections, iouThreshold)
+    : weightedBoxFusion(detections, iouThreshold, numPasses);
@@ -0,0 +1,12 @@
+import { setWasmPaths } from "@tensorflow/tfjs-backend-wasm";
+import wasmPath from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url";
+import wasmSimdPath from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url";
+import wasmThreadedSimdPath from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url";
+
+// serve wasm binaries from the bundle instead of the cdn. Vite only (`?url` imports), so it's
+// imported by the app and its worker, library users pass `wasmPaths` to `createDetector`
+setWasmPaths({
+  "tfjs-backend-wasm.wasm": wasmPath,
+  "tfjs-backend-wasm-simd.wasm": wasmSimdPath,
+  "tfjs-backend-wasm-threaded-simd.wasm": wasmThreadedSimdPath,
+});
@@ -0,0 +1,105 @@
+/**
+ * Check the browser can host a model inside a worker:
+ * worker, OffscreenCanvas for the webgl backend and ImageBitmap to transfer frames.
+ * @returns {Boolean}
+ */
+export const isWorkerSupported = () =>
+  typeof Worker !== "undefined" &&
+  typeof OffscreenCanvas !== "undefined" &&
+  typeof createImageBitmap !== "undefined";
+
+/**
+ * Model hosted in a dedicated worker, keeping preprocessing, inference and NMS off the UI thread.
+ * Used as `net` of the app model state, `predict` resolves the same result as the main thread path.
+ */
+export class WorkerModel {
+  remote = true; // tells `predict` to forward frames to the worker
+
+  constructor() {
+    this.worker = new Worker(new URL("../workers/detector.worker.js", import.meta.url), {
+      type: "module",
+    });
+    this.worker.onmessage = this.handleMessage;
+    this.worker.onerror = this.handleError;
+    this.requests = new Map(); // pending requests by id
+    this.nextId = 0;
+  }
+
+  /**
+   * Resolve pending request with the worker response.
+   * @param {MessageEvent} event `{ id, result, error, progress }`
+   */
+  handleMessage = ({ data }) => {
+    const request = this.requests.get(data.id);
+    if (!request) return;
+    if (data.progress !== undefined) {
+      if (request.onProgress) request.onProgress(data.progress);
+      return;
+    }
+
+    this.requests.delete(data.id);
+    if (data.error !== undefined) request.reject(new Error(data.error));
+    else request.resolve(data.result);
+  };
+
+  /**
+   * Reject every pending request when the worker fails (e.g. script can't be loaded).
+   * @param {ErrorEvent} event
+   */
+  handleError = (event) => {
+    event.preventDefault();
+    this.rejectAll(new Error(event.message || "Worker error"));
+  };
+
+  /**
+   * @param {Error} error
+   */
+  rejectAll = (error) => {
+    this.requests.forEach((request) => request.reject(error));
+    this.requests.clear();
+  };
+
+  /**
+   * Post message to the worker.
+   * @param {Object} message message with `type`
+   * @param {Array} transfer transferable objects
+   * @param {Function} onProgress progress callback
+   * @returns {Promise} worker result
+   */
+  request = (message, transfer = [], onProgress = null) =>
+    new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.requests.set(id, { resolve, reject, onProgress });
+      this.worker.postMessage({ ...message, id }, transfer);
+    });
+
+  /**
+   * Load and warm up model in the worker.
+   * @param {Object} source model source, see `loadModelSource`
+   * @param {Object} options `onProgress` callback, metadata `defaults` and preferred `backend`
+   * @returns {Promise<Object>} `{ net, metadata, inputShape, backend }`, net is this worker model
+   */
+  load = async (source, { onProgress, defaults, backend } = {}) => {
+    const result = await this.request({ type: "load", source, defaults, backend }, [], onProgress);
+    return { net: this, ...result };
+  };
+
+  /**
+   * Run inference on source in the worker.
+   * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageData} source
+   * @param {Object} options detection options (`confThreshold`, `nmsThreshold`)
+   * @returns {Promise<Object>} `{ detections, width, height }` with detections in source pixels
+   */
+  predict = async (source, options = {}) => {
+    const frame = await createImageBitmap(source);
+    return this.request({ type: "predict", frame, options }, [frame]);
+  };
+
+  /**
+   * Terminate the worker and its model.
+   */
+  dispose = () => {
+    this.worker.terminate();
+    this.rejectAll(new Error("Worker model is disposed"));
+  };
+}
@@ -0,0 +1,56 @@
+import * as tf from "@tensorflow/tfjs";
+import { initBackend } from "../utils/backend";
+import "../utils/wasmPaths";
+import { loadModelSource, warmupModel } from "../utils/modelLoader";
+import { predict } from "../utils/inference";
+
+let model = null; // `{ net, inputShape, metadata }` hosted in this worker
+
+const handlers = {
+  /**
+   * Load and warm up model on the requested backend, replacing the current one.
+   * @param {Object} message `{ id, source, defaults, backend }`
+   * @returns {Promise<Object>} `{ metadata, inputShape, backend }`, backend actually used
+   */
+  load: async ({ id, source, defaults, backend }) => {
+    if (model) model.net.dispose();
+    model = null;
+    const activeBackend = await initBackend(backend); // webgl runs on OffscreenCanvas
+
+    const onProgress = (fraction) => self.postMessage({ id, progress: fraction });
+    const { net, metadata } = await loadModelSource(source, { onProgress, defaults });
+    try {
+      const inputShape = warmupModel(net, metadata);
+      model = { net, inputShape, metadata };
+      return { metadata, inputShape, backend: activeBackend };
+    } catch (error) {
+      net.dispose();
+      throw error;
+    }
+  },
+
+  /**
+   * Detect objects on a frame.
+   * @param {Object} message `{ frame, options }`, frame is a transferred ImageBitmap
+   * @returns {Promise<Object>} same as main thread `predict`, with the worker tensor `memory`
+   */
+  predict: async ({ frame, options }) => {
+    try {
+      if (!model) throw new Error("Model is not loaded");
+      const result = await predict(frame, model, options);
+      const { numTensors, numBytes } = tf.memory();
+      return { ...result, memory: { numTensors, numBytes } };
+    } finally {
+      frame.close(); // release bitmap memory
+    }
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    const result = await handlers[data.type](data);
+    self.postMessage({ id: data.id, result });
+  } catch (error) {
+    self.postMessage({ id: data.id, error: error.message });
+  }
+};
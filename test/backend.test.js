@@ -0,0 +1,25 @@
+import { describe, it, expect } from "vitest";
+import * as tf from "@tensorflow/tfjs";
+import { probeBackends, initBackend } from "../src/utils/backend";
+
+describe("probeBackends", () => {
+  it("reports every selectable backend, cpu is always available", async () => {
+    const backends = await probeBackends();
+
+    expect(backends.map((backend) => backend.name)).toEqual(["webgl", "webgpu", "wasm", "cpu"]);
+    expect(backends.find((backend) => backend.name === "cpu").available).toBe(true);
+  });
+});
+
+describe("initBackend", () => {
+  it("falls back when the preferred backend can't be used", async () => {
+    const name = await initBackend("missing", ["missing", "cpu"]);
+
+    expect(name).toBe("cpu");
+    expect(tf.getBackend()).toBe("cpu");
+  });
+
+  it("throws when no backend works", async () => {
+    await expect(initBackend("missing", [])).rejects.toThrow("No tensorflow.js backend available");
+  });
+});
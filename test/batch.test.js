@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { predict } from "../src/utils/inference";
+import {
+  isImageFile,
+  getImageName,
+  runBatch,
+  sortResults,
+  getBatchClasses,
+  toExportFrames,
+} from "../src/utils/batch";
+
+vi.mock("../src/utils/inference", () => ({
+  predict: vi.fn(),
+  predictSliced: vi.fn(),
+  renderResult: vi.fn(),
+}));
+
+const person = { classId: 0, label: "person", score: 0.9, bbox: [0, 0, 10, 10] };
+const car = { classId: 2, label: "car", score: 0.8, bbox: [0, 0, 20, 20] };
+
+beforeEach(() => {
+  const canvas = { getContext: () => ({ drawImage: vi.fn() }), toDataURL: () => "data:thumb" };
+  globalThis.document = { createElement: () => ({ ...canvas }) };
+  globalThis.createImageBitmap = async (file) => {
+    if (file.broken) throw new Error("decode failed");
+    return { width: 400, height: 200, close: vi.fn() };
+  };
+  predict.mockReset();
+});
+
+describe("image files", () => {
+  it("accepts images by mime type or extension", () => {
+    expect(isImageFile({ name: "a.jpg", type: "image/jpeg" })).toBe(true);
+    expect(isImageFile({ name: "notes.txt", type: "text/plain" })).toBe(false);
+    expect(isImageFile({ name: "b.PNG", type: "" })).toBe(true);
+  });
+
+  it("names images by their folder path without extension", () => {
+    expect(getImageName({ name: "a.jpg", webkitRelativePath: "" })).toBe("a");
+    expect(getImageName({ name: "a.jpg", webkitRelativePath: "set/v1.0/a.jpg" })).toBe("set/v1.0/a");
+  });
+});
+
+describe("runBatch", () => {
+  it("detects every image and keeps going after a failure", async () => {
+    predict.mockResolvedValue({ detections: [person, person, car], width: 400, height: 200 });
+    const onProgress = vi.fn();
+    const files = [{ name: "a.jpg" }, { name: "b.jpg", broken: true }, { name: "c.jpg" }];
+
+    const results = await runBatch(files, {}, { confThreshold: 0.3, targets: [0] }, { onProgress });
+
+    expect(predict).toHaveBeenCalledTimes(2);
+    expect(predict.mock.calls[0][2]).toEqual({ confThreshold: 0.3, nmsThreshold: undefined });
+    expect(results[0]).toMatchObject({
+      name: "a",
+      fileName: "a.jpg",
+      width: 400,
+      total: 2,
+      thumbnail: "data:thumb",
+    });
+    expect(results[1]).toMatchObject({ name: "b", error: "decode failed", detections: [] });
+    expect(onProgress).toHaveBeenLastCalledWith(3, 3, results[2]);
+  });
+
+  it("gives images sharing a name unique names", async () => {
+    predict.mockResolvedValue({ detections: [], width: 400, height: 200 });
+    const files = [{ name: "a.jpg" }, { name: "a.png" }, { name: "a.png" }];
+
+    const results = await runBatch(files, {}, {});
+    expect(results.map((result) => result.name)).toEqual(["a", "a_png", "a_2"]);
+    expect(results.map((result) => result.fileName)).toEqual(["a.jpg", "a.png", "a.png"]);
+  });
+
+  it("stops before the next image once aborted", async () => {
+    const controller = new AbortController();
+    predict.mockImplementation(async () => {
+      controller.abort();
+      return { detections: [], width: 400, height: 200 };
+    });
+
+    const results = await runBatch([{ name: "a.jpg" }, { name: "b.jpg" }], {}, {}, {
+      signal: controller.signal,
+    });
+    expect(results).toHaveLength(1);
+  });
+});
+
+describe("batch results", () => {
+  const result = (name, counts, error) => ({
+    name,
+    width: 10,
+    height: 10,
+    detections: [],
+    counts,
+    total: counts.reduce((sum, { count }) => sum + count, 0),
+    error,
+  });
+  const results = [
+    result("img10", [{ classId: 0, label: "person", count: 1 }]),
+    result("img2", [{ classId: 2, label: "car", count: 3 }]),
+    result("broken", [], "decode failed"),
+    result("img1", [
+      { classId: 0, label: "person", count: 4 },
+      { classId: 2, label: "car", count: 1 },
+    ]),
+  ];
+
+  it("sorts by name, totals or a class, failures last", () => {
+    const names = (sorted) => sorted.map((item) => item.name);
+    expect(names(sortResults(results, "name"))).toEqual(["img1", "img2", "img10", "broken"]);
+    expect(names(sortResults(results, "total", false))).toEqual(["img1", "img2", "img10", "broken"]);
+    expect(names(sortResults(results, 2, false))).toEqual(["img2", "img1", "img10", "broken"]);
+  });
+
+  it("lists the detected classes and exports the successful images", () => {
+    expect(getBatchClasses(results)).toEqual([
+      { classId: 0, label: "person" },
+      { classId: 2, label: "car" },
+    ]);
+    expect(toExportFrames(results).map((frame) => frame.name)).toEqual(["img10", "img2", "img1"]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { getSourceSize, compositeFrame, getRecorderType, Recorder } from "../src/utils/capture";
+
+const canvas = () => {
+  const ctx = { drawImage: vi.fn() };
+  return { width: 0, height: 0, getContext: () => ctx, ctx, captureStream: () => stream };
+};
+const track = { stop: vi.fn() };
+const stream = { getTracks: () => [track] };
+
+class FakeRecorder {
+  static isTypeSupported = (type) => type === "video/webm;codecs=vp8";
+
+  constructor(recordedStream, { mimeType }) {
+    this.stream = recordedStream;
+    this.mimeType = mimeType;
+    FakeRecorder.last = this;
+  }
+
+  start = vi.fn();
+
+  stop = () => {
+    this.ondataavailable({ data: new Blob(["frame"]) });
+    this.onstop();
+  };
+}
+
+beforeEach(() => {
+  globalThis.document = { createElement: canvas };
+  globalThis.MediaRecorder = FakeRecorder;
+  globalThis.requestAnimationFrame = vi.fn(() => 1);
+  globalThis.cancelAnimationFrame = vi.fn();
+  track.stop.mockClear();
+});
+
+describe("compositeFrame", () => {
+  it("draws source and overlay at the source size", () => {
+    const video = { videoWidth: 1280, videoHeight: 720 };
+    const overlay = {};
+    const target = compositeFrame(video, overlay, canvas());
+
+    expect([target.width, target.height]).toEqual([1280, 720]);
+    expect(target.ctx.drawImage.mock.calls).toEqual([
+      [video, 0, 0, 1280, 720],
+      [overlay, 0, 0, 1280, 720],
+    ]);
+  });
+
+  it("skips sources that aren't loaded", () => {
+    const image = { naturalWidth: 0, naturalHeight: 0 };
+    expect(getSourceSize(image)).toEqual([0, 0]);
+    expect(compositeFrame(image, {}, canvas()).ctx.drawImage).not.toHaveBeenCalled();
+  });
+});
+
+describe("Recorder", () => {
+  it("picks the first supported WebM type", () => {
+    expect(getRecorderType()).toBe("video/webm;codecs=vp8");
+  });
+
+  it("records the composited stream into a WebM blob", async () => {
+    const recorder = new Recorder();
+    recorder.start({ videoWidth: 640, videoHeight: 480 }, {});
+    expect(recorder.recording).toBe(true);
+    expect(FakeRecorder.last.start).toHaveBeenCalledWith(1000);
+
+    const blob = await recorder.stop();
+    expect(recorder.recording).toBe(false);
+    expect(blob.type).toBe("video/webm;codecs=vp8");
+    expect(await blob.text()).toBe("frame");
+    expect(track.stop).toHaveBeenCalled();
+    expect(cancelAnimationFrame).toHaveBeenCalledWith(1);
+  });
+
+  it("resolves null when not recording", async () => {
+    expect(await new Recorder().stop()).toBe(null);
+  });
+
+  it("fails without MediaRecorder", () => {
+    delete globalThis.MediaRecorder;
+    expect(() => new Recorder().start({}, {})).toThrow("MediaRecorder");
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import * as tf from "@tensorflow/tfjs";
+import {
+  getCenterCrop,
+  preprocess,
+  decode,
+  validateOutput,
+  classifyDetections,
+} from "../src/utils/classify";
+import { useCpuBackend } from "./helpers";
+
+const model = {
+  inputShape: [1, 224, 224, 3],
+  metadata: { task: "classify", names: ["standing", "sitting", "fallen"] },
+};
+
+/**
+ * ImageData like source, red on the left half and blue on the right half.
+ */
+const source = (width, height) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set((i % width) < width / 2 ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+  }
+  return { width, height, data };
+};
+
+beforeAll(useCpuBackend);
+
+describe("preprocess", () => {
+  it("center crops the short side", () => {
+    expect(getCenterCrop(1280, 960, 224, 224)).toEqual([160, 0, 1120, 960]);
+    getCenterCrop(400, 800, 224, 224).forEach((value, i) =>
+      expect(value).toBeCloseTo([0, 200, 400, 600][i])
+    );
+
+    const [input, transform] = preprocess(source(64, 32), model);
+    expect(input.shape).toEqual([1, 224, 224, 3]);
+    expect(transform).toEqual({ width: 64, height: 32 });
+    input.dispose();
+  });
+});
+
+describe("decode", () => {
+  it("returns the top K classes without detections", async () => {
+    const output = tf.tensor2d([[0.2, 0.1, 0.7]]);
+    const result = await decode([output], model, { width: 64, height: 32 }, { topK: 2 });
+    output.dispose();
+
+    expect(result).toMatchObject({ detections: [], width: 64, height: 32 });
+    expect(result.classes.map(({ label }) => label)).toEqual(["fallen", "standing"]);
+    expect(result.classes[0].score).toBeCloseTo(0.7);
+  });
+});
+
+describe("validateOutput", () => {
+  it("accepts [1, nc] and rejects detection heads", () => {
+    expect(validateOutput([[1, 3]], model.metadata)).toBeNull();
+    expect(validateOutput([[1, 7, 8400]], model.metadata)).toMatch(/expected output \[1, 3\]/);
+  });
+});
+
+describe("classifyDetections", () => {
+  // classifies crops by color: red => standing, blue => fallen
+  const classifier = {
+    ...model,
+    net: {
+      executeAsync: async (input) =>
+        tf.tidy(() => {
+          const [red, , blue] = tf.split(input.mean([1, 2]), 3, 1);
+          return tf.concat([red, tf.zerosLike(red), blue], 1);
+        }),
+    },
+  };
+
+  it("classifies the crop of every target detection", async () => {
+    const detections = [
+      { classId: 0, label: "person", score: 0.9, bbox: [0, 0, 30, 32] },
+      { classId: 2, label: "car", score: 0.8, bbox: [0, 0, 64, 32] },
+      { classId: 0, label: "person", score: 0.7, corners: [40, 0, 60, 0, 60, 32, 40, 32] },
+    ];
+    const before = tf.memory().numTensors;
+    const result = await classifyDetections(source(64, 32), classifier, detections, {
+      targets: [0],
+      topK: 1,
+    });
+
+    expect(tf.memory().numTensors).toBe(before);
+    expect(result[0].classes).toHaveLength(1);
+    expect(result[0].classes[0]).toMatchObject({ classId: 0, label: "standing" });
+    expect(result[0].classes[0].score).toBeGreaterThan(0.9);
+    expect(result[1]).toBe(detections[1]);
+    expect(result[2].classes[0]).toMatchObject({ classId: 2, label: "fallen" });
+  });
+});
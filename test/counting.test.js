@@ -0,0 +1,103 @@
+import { describe, it, expect } from "vitest";
+import {
+  FlowCounter,
+  isPointInPolygon,
+  countByClass,
+  countTargets,
+  filterByArea,
+} from "../src/utils/counting";
+
+const targets = [0]; // person
+const person = (trackId, x, y, classId = 0) => ({
+  classId,
+  score: 0.9,
+  trackId,
+  bbox: [x - 5, y - 5, x + 5, y + 5],
+});
+
+describe("isPointInPolygon", () => {
+  it("tests points against a concave polygon", () => {
+    const polygon = [[0, 0], [10, 0], [10, 10], [5, 5], [0, 10]]; // prettier-ignore
+    expect(isPointInPolygon([2, 2], polygon)).toBe(true);
+    expect(isPointInPolygon([5, 8], polygon)).toBe(false);
+    expect(isPointInPolygon([20, 2], polygon)).toBe(false);
+  });
+});
+
+describe("countByClass / countTargets", () => {
+  const detections = [
+    { classId: 2, label: "car" },
+    { classId: 0, label: "person" },
+    { classId: 2, label: "car" },
+  ];
+
+  it("counts detections per class", () => {
+    expect(countByClass(detections)).toEqual([
+      { classId: 0, label: "person", count: 1 },
+      { classId: 2, label: "car", count: 2 },
+    ]);
+  });
+
+  it("totals target classes, every class without targets", () => {
+    const classCounts = countByClass(detections);
+    expect(countTargets(classCounts, [2])).toBe(2);
+    expect(countTargets(classCounts, [0, 2])).toBe(3);
+    expect(countTargets(classCounts, [])).toBe(3);
+  });
+
+  it("ignores masks smaller than the minimum area, keeps boxes without mask", () => {
+    const segments = [{ area: 50 }, { area: 500 }, {}];
+    expect(filterByArea(segments, 100)).toEqual([{ area: 500 }, {}]);
+    expect(filterByArea(segments, 0)).toBe(segments);
+  });
+});
+
+describe("FlowCounter", () => {
+  const line = { id: 1, type: "line", points: [[0, 50], [100, 50]] }; // prettier-ignore
+  const zone = { id: 2, type: "zone", points: [[0, 0], [40, 0], [40, 40], [0, 40]] }; // prettier-ignore
+
+  it("counts line crossings per direction", () => {
+    const counter = new FlowCounter([line]);
+    counter.update([person(1, 20, 40), person(2, 60, 60)], targets);
+    counter.update([person(1, 20, 60), person(2, 60, 55)], targets); // 1 goes down, 2 stays
+    counter.update([person(1, 20, 45), person(2, 60, 40)], targets); // both go up
+
+    // line points east, so its right side is below it
+    expect(counter.getCounts()).toEqual([{ id: 1, type: "line", in: 1, out: 2 }]);
+  });
+
+  it("ignores crossings outside the segment, untracked detections and other classes", () => {
+    const counter = new FlowCounter([line]);
+    counter.update([person(1, 150, 40), person(undefined, 20, 40), person(3, 20, 40, 1)], targets);
+    const counts = counter.update(
+      [person(1, 150, 60), person(undefined, 20, 60), person(3, 20, 60, 1)],
+      targets
+    );
+
+    expect(counts).toEqual([{ id: 1, type: "line", in: 0, out: 0 }]);
+  });
+
+  it("reports zone occupancy and distinct visitors", () => {
+    const counter = new FlowCounter([zone]);
+    counter.update([person(1, 10, 10), person(2, 80, 80)], targets);
+    counter.update([person(1, 80, 10), person(2, 20, 20), person(undefined, 30, 30)], targets);
+
+    expect(counter.getCounts()).toEqual([{ id: 2, type: "zone", occupancy: 2, total: 2 }]);
+  });
+
+  it("keeps totals of remaining regions when regions change, resets on new session", () => {
+    const counter = new FlowCounter([line]);
+    counter.update([person(1, 20, 40)], targets);
+    counter.update([person(1, 20, 60)], targets);
+
+    counter.setRegions([line, zone]);
+    expect(counter.getCounts()).toEqual([
+      { id: 1, type: "line", in: 1, out: 0 },
+      { id: 2, type: "zone", occupancy: 0, total: 0 },
+    ]);
+
+    counter.reset();
+    counter.update([person(1, 20, 40)], targets); // no previous position after reset
+    expect(counter.getCounts()[0]).toEqual({ id: 1, type: "line", in: 0, out: 0 });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import * as tf from "@tensorflow/tfjs";
+import { preprocess, decode, validateOutput } from "../src/utils/detect";
+import { useCpuBackend, headOutput } from "./helpers";
+
+const model = {
+  inputShape: [1, 640, 640, 3],
+  metadata: { task: "detect", names: ["person", "car"] },
+};
+
+beforeAll(useCpuBackend);
+
+describe("preprocess", () => {
+  it("letterboxes source and stores the transform to source pixels", () => {
+    const source = { width: 1280, height: 960, data: new Uint8Array(1280 * 960 * 4) };
+    const [input, transform] = preprocess(source, model);
+
+    expect(input.shape).toEqual([1, 640, 640, 3]);
+    expect(transform).toMatchObject({ width: 1280, height: 960, scale: 0.5, padX: 0, padY: 80 });
+    input.dispose();
+  });
+});
+
+describe("decode", () => {
+  const transform = { width: 1280, height: 960, scale: 0.5, padX: 0, padY: 80 };
+
+  it("converts xywh to source pixels xyxy and applies nms", async () => {
+    const output = headOutput([
+      [100, 180, 50, 100, 0.9, 0.1], // person
+      [105, 180, 50, 100, 0.8, 0.1], // overlaps the first person
+      [400, 300, 80, 40, 0.2, 0.7], // car
+      [500, 500, 10, 10, 0.1, 0.1], // below threshold
+    ]);
+    const { detections, width, height } = await decode([output], model, transform, {
+      confThreshold: 0.25,
+    });
+    output.dispose();
+
+    expect([width, height]).toEqual([1280, 960]);
+    expect(detections.map(({ classId, label }) => [classId, label])).toEqual([
+      [0, "person"],
+      [1, "car"],
+    ]);
+    expect(detections[0].score).toBeCloseTo(0.9);
+    expect(detections[0].bbox).toEqual([150, 100, 250, 300]);
+    expect(detections[1].score).toBeCloseTo(0.7);
+    expect(detections[1].bbox).toEqual([720, 400, 880, 480]);
+  });
+
+  it("uses the given nms threshold", async () => {
+    const output = headOutput([
+      [100, 180, 50, 100, 0.9, 0.1],
+      [105, 180, 50, 100, 0.8, 0.1], // IoU 0.82 with the first one
+    ]);
+    const { detections } = await decode([output], model, transform, { nmsThreshold: 0.9 });
+    output.dispose();
+
+    expect(detections).toHaveLength(2);
+  });
+
+  it("clips boxes to the source", async () => {
+    const output = headOutput([[630, 550, 40, 40, 0.9, 0.0]]);
+    const { detections } = await decode([output], model, transform);
+    output.dispose();
+
+    expect(detections[0].bbox).toEqual([1220, 900, 1280, 960]);
+  });
+
+  it("handles single class models", async () => {
+    const single = { ...model, metadata: { task: "detect", names: ["Human"] } };
+    const output = headOutput([
+      [100, 100, 20, 20, 0.6],
+      [300, 300, 20, 20, 0.1],
+    ]);
+    const { detections } = await decode([output], single, transform);
+    output.dispose();
+
+    expect(detections).toHaveLength(1);
+    expect(detections[0]).toMatchObject({ classId: 0, label: "Human", bbox: [180, 20, 220, 60] });
+  });
+
+  it("doesn't leak tensors", async () => {
+    const output = headOutput([[100, 100, 50, 100, 0.9, 0.1]]);
+    const before = tf.memory().numTensors;
+    await decode([output], model, transform);
+    expect(tf.memory().numTensors).toBe(before);
+    output.dispose();
+  });
+});
+
+describe("validateOutput", () => {
+  it("accepts [1, 4 + nc, n]", () => {
+    expect(validateOutput([[1, 6, 8400]], model.metadata)).toBeNull();
+  });
+
+  it("rejects other shapes", () => {
+    expect(validateOutput([[1, 84, 8400]], model.metadata)).toMatch(/expected output \[1, 6, n\]/);
+  });
+});
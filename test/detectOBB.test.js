@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import * as tf from "@tensorflow/tfjs";
+import { decode, validateOutput } from "../src/utils/detectOBB";
+import { useCpuBackend, headOutput } from "./helpers";
+
+const expectCloseTo = (actual, expected) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 4));
+};
+
+beforeAll(useCpuBackend);
+
+describe("decode", () => {
+  const model = {
+    inputShape: [1, 1024, 1024, 3],
+    metadata: { task: "obb", names: ["plane", "ship"] },
+  };
+  const transform = { width: 2048, height: 1024, scale: 0.5, padX: 0, padY: 256 };
+
+  it("decodes xywhr to corners in source pixels with nms", async () => {
+    const output = headOutput([
+      [100, 356, 20, 10, 0.9, 0.1, 0], // plane
+      [101, 356, 20, 10, 0.8, 0.1, 0], // overlaps the plane
+      [500, 500, 20, 10, 0.1, 0.6, Math.PI / 2], // ship
+      [800, 800, 20, 10, 0.1, 0.2, 0], // below threshold
+    ]);
+    const { detections, width, height } = await decode([output], model, transform, {
+      confThreshold: 0.35,
+      nmsThreshold: 0.5,
+    });
+    output.dispose();
+
+    expect([width, height]).toEqual([2048, 1024]);
+    expect(detections.map(({ classId, label }) => [classId, label])).toEqual([
+      [0, "plane"],
+      [1, "ship"],
+    ]);
+    expect(detections[0].score).toBeCloseTo(0.9);
+    expectCloseTo(detections[0].corners, [180, 190, 220, 190, 220, 210, 180, 210]);
+    expect(detections[1].angle).toBeCloseTo(Math.PI / 2);
+  });
+
+  it("returns nothing when every anchor is below threshold", async () => {
+    const output = headOutput([
+      [100, 100, 20, 10, 0.1, 0.1, 0],
+      [500, 500, 20, 10, 0.2, 0.1, 0],
+    ]);
+    const { detections } = await decode([output], model, transform, { confThreshold: 0.35 });
+    output.dispose();
+
+    expect(detections).toEqual([]);
+  });
+
+  it("doesn't leak tensors", async () => {
+    const output = headOutput([[100, 100, 20, 10, 0.9, 0.1, 0]]);
+    const before = tf.memory().numTensors;
+    await decode([output], model, transform);
+    expect(tf.memory().numTensors).toBe(before);
+    output.dispose();
+  });
+});
+
+describe("validateOutput", () => {
+  const metadata = { names: new Array(15).fill("class") };
+
+  it("accepts [1, 4 + nc + 1, n]", () => {
+    expect(validateOutput([[1, 20, 21504]], metadata)).toBeNull();
+  });
+
+  it("rejects detection heads", () => {
+    expect(validateOutput([[1, 19, 8400]], metadata)).toMatch(/angle/);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import * as tf from "@tensorflow/tfjs";
+import { decode, validateOutput } from "../src/utils/detectPose";
+import { useCpuBackend, headOutput } from "./helpers";
+
+const model = {
+  inputShape: [1, 640, 640, 3],
+  metadata: { task: "pose", names: ["person"], kpt_shape: [17, 3] },
+};
+const transform = { width: 1280, height: 960, scale: 0.5, padX: 0, padY: 80 };
+
+// 17 keypoints [x, y, score] in model input pixels, all on the same point
+const keypoints = (x, y, score) => new Array(17).fill([x, y, score]).flat();
+
+beforeAll(useCpuBackend);
+
+describe("decode", () => {
+  it("decodes boxes and keypoints to source pixels with nms", async () => {
+    const output = headOutput([
+      [100, 180, 50, 100, 0.9, ...keypoints(100, 160, 0.8)],
+      [102, 180, 50, 100, 0.7, ...keypoints(100, 160, 0.8)], // overlaps the first person
+      [400, 300, 80, 40, 0.1, ...keypoints(0, 0, 0)], // below threshold
+    ]);
+    const { detections, width, height } = await decode([output], model, transform);
+    output.dispose();
+
+    expect([width, height]).toEqual([1280, 960]);
+    expect(detections).toHaveLength(1);
+    expect(detections[0]).toMatchObject({ classId: 0, label: "person", bbox: [150, 100, 250, 300] });
+    expect(detections[0].keypoints).toHaveLength(17);
+    const [x, y, score] = detections[0].keypoints[16];
+    expect([x, y]).toEqual([200, 160]);
+    expect(score).toBeCloseTo(0.8);
+  });
+
+  it("gives full score to keypoints without visibility", async () => {
+    const xy = { ...model, metadata: { ...model.metadata, kpt_shape: [2, 2] } };
+    const output = headOutput([[100, 180, 50, 100, 0.9, 100, 160, 110, 170]]);
+    const { detections } = await decode([output], xy, transform);
+    output.dispose();
+
+    expect(detections[0].keypoints).toEqual([
+      [200, 160, 1],
+      [220, 180, 1],
+    ]);
+  });
+
+  it("doesn't leak tensors", async () => {
+    const output = headOutput([[100, 180, 50, 100, 0.9, ...keypoints(100, 160, 0.8)]]);
+    const before = tf.memory().numTensors;
+    await decode([output], model, transform);
+    expect(tf.memory().numTensors).toBe(before);
+    output.dispose();
+  });
+});
+
+describe("validateOutput", () => {
+  it("accepts [1, 4 + nc + 17 * 3, n], guessing COCO keypoints without kpt_shape", () => {
+    expect(validateOutput([[1, 56, 8400]], model.metadata)).toBeNull();
+    expect(validateOutput([[1, 56, 8400]], { names: ["person"], kpt_shape: null })).toBeNull();
+  });
+
+  it("rejects detection heads", () => {
+    expect(validateOutput([[1, 84, 8400]], model.metadata)).toMatch(/expected output \[1, 56, n\]/);
+  });
+});
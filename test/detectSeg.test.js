@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import * as tf from "@tensorflow/tfjs";
+import { decode, validateOutput } from "../src/utils/detectSeg";
+import { useCpuBackend, headOutput } from "./helpers";
+
+const model = {
+  inputShape: [1, 640, 640, 3],
+  metadata: { task: "segment", names: ["person", "car"] },
+};
+const transform = { width: 1280, height: 960, scale: 0.5, padX: 0, padY: 80 };
+
+/**
+ * Prototypes [1, 160, 160, 2]: first mask is filled, second one covers the left half.
+ */
+const prototypes = () => {
+  const values = new Float32Array(160 * 160 * 2);
+  for (let i = 0; i < 160 * 160; i++) {
+    values[i * 2] = 1;
+    values[i * 2 + 1] = i % 160 < 80 ? 1 : -1;
+  }
+  return tf.tensor4d(values, [1, 160, 160, 2]);
+};
+
+beforeAll(useCpuBackend);
+
+describe("decode", () => {
+  it("builds masks cropped to the source box with their area", async () => {
+    const outputs = [
+      prototypes(),
+      headOutput([
+        [100, 180, 50, 100, 0.9, 0.1, 1, 0], // person, filled mask
+        [320, 300, 80, 40, 0.1, 0.8, 0, 1], // car, left half of the box
+        [500, 500, 10, 10, 0.1, 0.1, 1, 0], // below threshold
+      ]),
+    ]; // graph models may return prototypes first
+    const { detections, width, height } = await decode(outputs, model, transform);
+    tf.dispose(outputs);
+
+    expect([width, height]).toEqual([1280, 960]);
+    expect(detections).toHaveLength(2);
+
+    const [person, car] = detections;
+    expect(person).toMatchObject({ classId: 0, bbox: [150, 100, 250, 300], area: 100 * 200 });
+    expect(person.mask).toMatchObject({ x: 150, y: 100, width: 100, height: 200 });
+
+    expect(car).toMatchObject({ classId: 1, bbox: [560, 400, 720, 480], area: 80 * 80 });
+    expect(car.mask).toMatchObject({ x: 560, y: 400, width: 160, height: 80 });
+    expect(Array.from(car.mask.data.slice(0, 160))).toEqual([
+      ...new Array(80).fill(1),
+      ...new Array(80).fill(0),
+    ]);
+  });
+
+  it("doesn't leak tensors", async () => {
+    const outputs = [headOutput([[100, 180, 50, 100, 0.9, 0.1, 1, 0]]), prototypes()];
+    const before = tf.memory().numTensors;
+    await decode(outputs, model, transform);
+    expect(tf.memory().numTensors).toBe(before);
+    tf.dispose(outputs);
+  });
+});
+
+describe("validateOutput", () => {
+  it("accepts predictions [1, 4 + nc + nm, n] with prototypes [1, mh, mw, nm]", () => {
+    expect(validateOutput([[1, 160, 160, 32], [1, 38, 8400]], model.metadata)).toBeNull();
+  });
+
+  it("rejects detection models and mismatched heads", () => {
+    expect(validateOutput([[1, 6, 8400]], model.metadata)).toMatch(/mask prototypes/);
+    expect(validateOutput([[1, 116, 8400], [1, 160, 160, 32]], model.metadata)).toMatch(
+      /expected output \[1, 38, n\]/
+    );
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from "vitest";
+import { toCOCO, toYOLO, toDOTA, exportDetections } from "../src/utils/exporters";
+import { DetectionLog } from "../src/utils/detectionLog";
+
+const names = ["person", "small vehicle"];
+const box = { classId: 0, label: "person", score: 0.9, bbox: [100, 50, 300, 250] };
+const obb = {
+  classId: 1,
+  label: "small vehicle",
+  score: 0.8,
+  corners: [10, 10, 50, 10, 50, 30, 10, 30],
+  angle: 0,
+};
+const frame = { name: "street", width: 400, height: 200, detections: [box, obb] };
+
+describe("toCOCO", () => {
+  it("writes images, xywh annotations and categories", () => {
+    const coco = toCOCO([frame], names);
+
+    expect(coco.images).toEqual([{ id: 1, file_name: "street", width: 400, height: 200 }]);
+    expect(toCOCO([{ ...frame, fileName: "set/street.jpg" }], names).images[0].file_name).toBe(
+      "set/street.jpg"
+    );
+    expect(coco.categories).toEqual([
+      { id: 0, name: "person" },
+      { id: 1, name: "small vehicle" },
+    ]);
+    expect(coco.annotations[0]).toEqual({
+      id: 1,
+      image_id: 1,
+      category_id: 0,
+      bbox: [100, 50, 200, 200],
+      area: 40000,
+      score: 0.9,
+      iscrowd: 0,
+    });
+    expect(coco.annotations[1]).toMatchObject({
+      bbox: [10, 10, 40, 20],
+      area: 800,
+      segmentation: [obb.corners],
+    });
+  });
+});
+
+describe("toYOLO", () => {
+  it("normalizes xywh boxes and oriented box corners", () => {
+    expect(toYOLO(frame).split("\n")).toEqual([
+      "0 0.500000 0.750000 0.500000 1.000000",
+      "1 0.025000 0.050000 0.125000 0.050000 0.125000 0.150000 0.025000 0.150000",
+    ]);
+  });
+});
+
+describe("toDOTA", () => {
+  it("writes pixel polygons with class names", () => {
+    expect(toDOTA(frame, names).split("\n")).toEqual([
+      "100.0 50.0 300.0 50.0 300.0 250.0 100.0 250.0 person 0",
+      "10.0 10.0 50.0 10.0 50.0 30.0 10.0 30.0 small-vehicle 0",
+    ]);
+  });
+});
+
+describe("exportDetections", () => {
+  it("writes a label file per frame and the class list for YOLO", () => {
+    const files = exportDetections("yolo", [frame, { ...frame, name: "street_2" }], names, "street");
+    expect(files.map((file) => file.name)).toEqual(["street.txt", "street_2.txt", "classes.txt"]);
+    expect(files[2].content).toBe("person\nsmall vehicle");
+  });
+
+  it("writes a single COCO json", () => {
+    const [file] = exportDetections("coco", [frame], names, "street");
+    expect(file.name).toBe("street_coco.json");
+    expect(JSON.parse(file.content).annotations).toHaveLength(2);
+  });
+});
+
+describe("DetectionLog", () => {
+  const result = { width: 400, height: 200, detections: [box] };
+
+  it("keeps the latest result of an image", () => {
+    const log = new DetectionLog();
+    log.setSource("street.jpg");
+    log.record({}, result);
+    log.record({}, { ...result, detections: [] });
+
+    expect(log.getFrames()).toEqual([
+      { name: "street", fileName: "street.jpg", width: 400, height: 200, detections: [] },
+    ]);
+  });
+
+  it("records video frames by timestamp", () => {
+    const log = new DetectionLog();
+    log.setSource("walk.mp4");
+    log.record({ currentTime: 0 }, result);
+    log.record({ currentTime: 1.5 }, result);
+
+    expect(log.getFrames().map((item) => item.name)).toEqual([
+      "walk_00000000",
+      "walk_00001500",
+    ]);
+    expect(log.getFrames()[1].fileName).toBe("walk_00001500"); // no image file for video frames
+  });
+
+  it("doesn't keep masks and trajectories of recorded frames", () => {
+    const mask = { x: 100, y: 50, width: 200, height: 200, data: new Uint8Array(40000) };
+    const log = new DetectionLog();
+    log.setSource("walk.mp4");
+    log.record({ currentTime: 0 }, { ...result, detections: [{ ...box, mask, area: 30000, trajectory: [[0, 0]] }] }); // prettier-ignore
+
+    const [detection] = log.getFrames()[0].detections;
+    expect(detection).toEqual({ ...box, area: 30000 });
+    expect(Object.values(detection).some((value) => value instanceof Uint8Array)).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+import { convertToCorners, calculateOBBIoU } from "../../src/utils/geometry";
+
+// applyNMS as it was in detectOBB.js, kept as reference for rotatedNMS
+export const applyNMS = (boxes, iouThreshold) => {
+  // 按置信度排序
+  const sortedBoxes = [...boxes].sort((a, b) => b.score - a.score);
+  const selectedBoxes = [];
+
+  while (sortedBoxes.length > 0) {
+    // 选择置信度最高的框
+    const currentBox = sortedBoxes.shift();
+    selectedBoxes.push(currentBox);
+
+    // 移除与当前框IoU大于阈值的框
+    let i = 0;
+    while (i < sortedBoxes.length) {
+      const iou = calculateOBBIoU(currentBox.corners, sortedBoxes[i].corners);
+
+      // 如果同一类别且IoU大于阈值，则丢弃该框
+      if (currentBox.classId === sortedBoxes[i].classId && iou > iouThreshold) {
+        sortedBoxes.splice(i, 1);
+      } else {
+        i++;
+      }
+    }
+  }
+
+  return selectedBoxes;
+};
+
+/**
+ * Seeded random oriented boxes clustered like raw OBB candidates.
+ * @param {Number} count number of boxes
+ * @param {Number} seed prng seed
+ * @returns {Array[Object]} boxes `{ corners, score, classId }`
+ */
+export const randomBoxes = (count, seed = 1) => {
+  // mulberry32
+  let state = seed;
+  const random = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const centers = Array.from({ length: Math.max(1, Math.round(count / 20)) }, () => [
+    random() * 1024,
+    random() * 1024,
+  ]);
+  return Array.from({ length: count }, () => {
+    const [cx, cy] = centers[Math.floor(random() * centers.length)];
+    return {
+      corners: convertToCorners(
+        cx + (random() - 0.5) * 20,
+        cy + (random() - 0.5) * 20,
+        20 + random() * 40,
+        10 + random() * 20,
+        random() * Math.PI
+      ),
+      score: random(),
+      classId: Math.floor(random() * 3),
+    };
+  });
+};
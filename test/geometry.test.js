@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import {
+  convertToCorners,
+  cornersToPolygon,
+  cornersToAABB,
+  calculateOBBIoU,
+  calculateBoxIoU,
+  calculatePolygonArea,
+  clipPolygons,
+} from "../src/utils/geometry";
+
+const toPolygon = cornersToPolygon;
+
+const expectCloseTo = (actual, expected) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 4));
+};
+
+describe("convertToCorners", () => {
+  it("returns corners of an axis aligned box", () => {
+    expectCloseTo(convertToCorners(10, 20, 8, 4, 0), [6, 18, 14, 18, 14, 22, 6, 22]);
+  });
+
+  it("rotates corners around the center", () => {
+    expectCloseTo(convertToCorners(10, 20, 8, 4, Math.PI / 2), [12, 16, 12, 24, 8, 24, 8, 16]);
+  });
+});
+
+describe("calculatePolygonArea", () => {
+  it("computes area regardless of the orientation", () => {
+    const polygon = toPolygon(convertToCorners(0, 0, 8, 4, 0.3));
+    expect(calculatePolygonArea(polygon)).toBeCloseTo(32);
+    expect(calculatePolygonArea([...polygon].reverse())).toBeCloseTo(32);
+  });
+});
+
+describe("clipPolygons", () => {
+  it("clips overlapping squares", () => {
+    const a = toPolygon(convertToCorners(0, 0, 4, 4, 0));
+    const b = toPolygon(convertToCorners(2, 2, 4, 4, 0));
+    expect(calculatePolygonArea(clipPolygons(a, b))).toBeCloseTo(4);
+  });
+
+  it("returns empty polygon when disjoint", () => {
+    const a = toPolygon(convertToCorners(0, 0, 4, 4, 0));
+    const b = toPolygon(convertToCorners(10, 10, 4, 4, 0));
+    expect(clipPolygons(a, b)).toEqual([]);
+  });
+});
+
+describe("calculateOBBIoU", () => {
+  it("is 1 for identical boxes", () => {
+    const box = convertToCorners(5, 5, 6, 2, 0.7);
+    expect(calculateOBBIoU(box, box)).toBeCloseTo(1);
+  });
+
+  it("is 0 for disjoint boxes", () => {
+    expect(calculateOBBIoU(convertToCorners(0, 0, 2, 2, 0), convertToCorners(9, 9, 2, 2, 0))).toBe(0);
+  });
+
+  it("matches half overlapping boxes", () => {
+    const iou = calculateOBBIoU(convertToCorners(0, 0, 4, 2, 0), convertToCorners(2, 0, 4, 2, 0));
+    expect(iou).toBeCloseTo(1 / 3);
+  });
+
+  it("handles rotated boxes", () => {
+    // square rotated by 45deg inside the same square: intersection is an octagon
+    const iou = calculateOBBIoU(convertToCorners(0, 0, 2, 2, 0), convertToCorners(0, 0, 2, 2, Math.PI / 4));
+    const octagon = 8 * (Math.SQRT2 - 1);
+    expect(iou).toBeCloseTo(octagon / (8 - octagon));
+  });
+});
+
+describe("cornersToAABB", () => {
+  it("bounds rotated corners", () => {
+    expectCloseTo(cornersToAABB(convertToCorners(10, 20, 8, 4, Math.PI / 2)), [8, 16, 12, 24]);
+  });
+});
+
+describe("calculateBoxIoU", () => {
+  it("computes IoU of axis aligned boxes", () => {
+    expect(calculateBoxIoU([0, 0, 10, 10], [5, 0, 15, 10])).toBeCloseTo(50 / 150);
+    expect(calculateBoxIoU([0, 0, 10, 10], [10, 0, 20, 10])).toBe(0);
+  });
+});
@@ -0,0 +1,17 @@
+import * as tf from "@tensorflow/tfjs";
+
+/**
+ * Use the tfjs cpu backend, no browser or gpu needed.
+ */
+export const useCpuBackend = async () => {
+  await tf.setBackend("cpu");
+  await tf.ready();
+};
+
+/**
+ * Build a synthetic YOLO head output [1, values, anchors] from one row per anchor.
+ * @param {Array[Array[Number]]} anchors values of every anchor, e.g. [cx, cy, w, h, ...scores]
+ * @returns {tf.Tensor3D} output tensor
+ */
+export const headOutput = (anchors) =>
+  tf.tidy(() => tf.tensor2d(anchors).transpose().expandDims(0));
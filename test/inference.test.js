@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeAll, vi } from "vitest";
+import * as tf from "@tensorflow/tfjs";
+import { predict, predictSliced, predictTTA, detect, runExclusive } from "../src/utils/inference";
+import { Tracker } from "../src/utils/tracker";
+import { useCpuBackend } from "./helpers";
+
+const source = { width: 8, height: 8, data: new Uint8Array(8 * 8 * 4).fill(255) };
+
+beforeAll(useCpuBackend);
+
+describe("predict", () => {
+  it("doesn't interleave the engine scopes of concurrent calls", async () => {
+    const events = [];
+    const model = {
+      inputShape: [1, 4, 4, 3],
+      metadata: { task: "classify", names: ["a", "b"] },
+      net: {
+        executeAsync: async (input) => {
+          events.push("start");
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          events.push("end");
+          return tf.tidy(() => tf.tensor2d([[0.2, 0.8]]).add(input.sum().mul(0)));
+        },
+      },
+    };
+    const before = tf.memory().numTensors;
+
+    const results = await Promise.all([predict(source, model), predict(source, model)]);
+
+    expect(events).toEqual(["start", "end", "start", "end"]);
+    results.forEach(({ classes }) => expect(classes[0]).toMatchObject({ classId: 1, label: "b" }));
+    expect(tf.memory().numTensors).toBe(before);
+  });
+
+  it("keeps running queued tasks after a failure", async () => {
+    const failed = runExclusive(async () => {
+      throw new Error("inference failed");
+    });
+    await expect(failed).rejects.toThrow("inference failed");
+    await expect(runExclusive(async () => "next")).resolves.toBe("next");
+  });
+});
+
+describe("replaced detections", () => {
+  // model hosted in a worker, aborting the detection while it runs
+  const abortingModel = (controller) => ({
+    metadata: { task: "detect", names: ["person"] },
+    onCountChange: vi.fn(),
+    net: {
+      remote: true,
+      predict: vi.fn(async () => {
+        controller.abort();
+        return { detections: [], width: 2000, height: 1000, timings: {} };
+      }),
+    },
+  });
+
+  it("stops sliced inference before the next tile", async () => {
+    globalThis.document = { createElement: () => ({ getContext: () => ({ drawImage: vi.fn() }) }) };
+    const controller = new AbortController();
+    const model = abortingModel(controller);
+    const onProgress = vi.fn();
+
+    const result = await predictSliced({ width: 2000, height: 1000 }, model, {}, {
+      tileSize: 1024,
+      onProgress,
+      signal: controller.signal,
+    });
+    expect(model.net.predict).toHaveBeenCalledTimes(1);
+    expect(onProgress).toHaveBeenCalledWith(1, 4);
+    expect(result).toMatchObject({ detections: [], width: 2000, height: 1000 });
+  });
+
+  it("doesn't render a replaced detection", async () => {
+    const controller = new AbortController();
+    const model = abortingModel(controller);
+    const canvas = { width: 0, height: 0 };
+    const callback = vi.fn();
+
+    await detect({}, model, canvas, { signal: controller.signal }, callback);
+    expect(canvas.width).toBe(0);
+    expect(model.onCountChange).not.toHaveBeenCalled();
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("predictTTA", () => {
+  it("returns no detections without augmentations", async () => {
+    globalThis.document = { createElement: () => ({}) };
+    const model = { metadata: { task: "detect" }, net: { remote: true, predict: vi.fn() } };
+
+    const result = await predictTTA({ width: 64, height: 32 }, model, {}, { augmentations: [] });
+    expect(model.net.predict).not.toHaveBeenCalled();
+    expect(result).toEqual({ detections: [], width: 64, height: 32, timings: {}, memory: undefined });
+  });
+});
+
+describe("detect", () => {
+  const canvas = { width: 0, height: 0 };
+  const measureText = () => ({ width: 0 });
+  const ctx = new Proxy({ canvas, measureText }, { get: (target, key) => target[key] || vi.fn() });
+  canvas.getContext = () => ctx;
+
+  it("forwards only the decode options to the model", async () => {
+    const model = {
+      metadata: { task: "detect", names: ["person"] },
+      net: {
+        remote: true,
+        predict: vi.fn(async () => ({ detections: [], width: 0, height: 0, timings: {} })),
+      },
+    };
+
+    await detect({}, model, canvas, { confThreshold: 0.3, track: true, targets: [0], log: null });
+    expect(model.net.predict.mock.calls[0][1]).toEqual({ confThreshold: 0.3 });
+  });
+
+  it("keeps a track through a low score frame", async () => {
+    const frames = [0.9, 0.9, 0.9, 0.2].map((score, i) => [
+      { classId: 0, label: "person", score, bbox: [i * 2, 0, i * 2 + 20, 40] },
+      { classId: 0, label: "person", score: 0.2, bbox: [200, 0, 220, 40] }, // never confident
+    ]);
+    const model = {
+      metadata: { task: "detect", names: ["person"] },
+      net: {
+        remote: true,
+        predict: vi.fn(async () => ({
+          detections: frames.shift(),
+          width: 240,
+          height: 40,
+          timings: {},
+        })),
+      },
+    };
+    const log = { record: vi.fn() };
+    const options = { confThreshold: 0.35, tracker: new Tracker(), log };
+
+    for (let i = 0; i < 4; i++) await detect({}, model, canvas, options);
+    const [confident, dip] = log.record.mock.calls.slice(2).map(([, { detections }]) => detections);
+
+    expect(model.net.predict.mock.calls[0][1]).toEqual({ confThreshold: 0.1 });
+    expect(confident).toHaveLength(1);
+    expect(confident[0].trackId).toBeDefined();
+    expect(dip).toEqual([expect.objectContaining({ score: 0.2, trackId: confident[0].trackId })]);
+  });
+});
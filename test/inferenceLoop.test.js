@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { detect } from "../src/utils/inference";
+import { InferenceLoop } from "../src/utils/inferenceLoop";
+
+vi.mock("../src/utils/inference", () => ({ detect: vi.fn(() => Promise.resolve()) }));
+
+let frames; // pending requestAnimationFrame callbacks
+
+const nextFrame = async () => {
+  const callbacks = [...frames.values()];
+  frames.clear();
+  await Promise.all(callbacks.map((callback) => callback()));
+};
+
+const video = () => ({ videoWidth: 640, srcObject: {}, paused: false, ended: false });
+const canvas = () => {
+  const ctx = { canvas: { width: 640, height: 480 }, clearRect: vi.fn() };
+  return { getContext: () => ctx, ctx };
+};
+
+beforeEach(() => {
+  frames = new Map();
+  let id = 0;
+  globalThis.requestAnimationFrame = (callback) => {
+    frames.set(++id, callback);
+    return id;
+  };
+  globalThis.cancelAnimationFrame = (frameId) => frames.delete(frameId);
+  detect.mockClear();
+});
+
+describe("InferenceLoop", () => {
+  const model = { net: {} };
+
+  it("detects every frame with the latest model and options", async () => {
+    const loop = new InferenceLoop(video(), canvas(), { model, options: { confThreshold: 0.3 } });
+    loop.start();
+    await nextFrame();
+
+    const other = { net: {} };
+    loop.update({ model: other, options: { confThreshold: 0.5 } });
+    await nextFrame();
+
+    expect(detect).toHaveBeenCalledTimes(2);
+    expect(detect.mock.calls[1][1]).toBe(other);
+    expect(detect.mock.calls[1][3]).toMatchObject({ confThreshold: 0.5 });
+  });
+
+  it("never runs two loops or overlapping frames", async () => {
+    const loop = new InferenceLoop(video(), canvas(), { model });
+    loop.start();
+    loop.start();
+    expect(frames.size).toBe(1);
+
+    let finish;
+    detect.mockImplementationOnce(() => new Promise((resolve) => (finish = resolve)));
+    const pending = nextFrame();
+    loop.schedule(); // e.g. redetect while the frame is processing
+    expect(frames.size).toBe(0);
+
+    finish();
+    await pending;
+    expect(frames.size).toBe(1);
+  });
+
+  it("stops, pauses and resumes", async () => {
+    const target = canvas();
+    const loop = new InferenceLoop(video(), target, { model });
+    loop.start();
+    loop.pause();
+    await nextFrame();
+    expect(detect).not.toHaveBeenCalled();
+
+    loop.resume();
+    await nextFrame();
+    expect(detect).toHaveBeenCalledTimes(1);
+
+    loop.stop();
+    expect(frames.size).toBe(0);
+    expect(target.ctx.clearRect).toHaveBeenCalled();
+  });
+
+  it("passes a tracker when tracking is enabled, reset on model change", async () => {
+    const loop = new InferenceLoop(video(), canvas(), { model, options: { track: true } });
+    loop.start();
+    await nextFrame();
+
+    const { tracker } = detect.mock.calls[0][3];
+    expect(tracker).not.toBeNull();
+    tracker.update([{ classId: 0, score: 0.9, bbox: [0, 0, 10, 10] }]);
+
+    loop.update({ model: { net: {} } });
+    expect(tracker.tracks).toHaveLength(0);
+    loop.update({ options: { track: false } });
+    await nextFrame();
+    expect(detect.mock.calls[1][3].tracker).toBeNull();
+  });
+
+  it("stops when the source is closed", async () => {
+    const source = video();
+    const loop = new InferenceLoop(source, canvas(), { model });
+    loop.start();
+    source.videoWidth = 0;
+    source.srcObject = null;
+    await nextFrame();
+
+    expect(loop.running).toBe(false);
+    expect(detect).not.toHaveBeenCalled();
+    expect(frames.size).toBe(0);
+  });
+});
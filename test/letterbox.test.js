@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import {
+  PAD_VALUE,
+  getLetterbox,
+  letterbox,
+  toSourcePoint,
+  toSourceBox,
+  toSourceXYWHR,
+} from "../src/utils/letterbox";
+import { useCpuBackend } from "./helpers";
+
+beforeAll(useCpuBackend);
+
+describe("getLetterbox", () => {
+  it("fits wide sources and pads vertically", () => {
+    expect(getLetterbox(1280, 720, 640, 640)).toEqual({
+      width: 1280,
+      height: 720,
+      scale: 0.5,
+      padX: 0,
+      padY: 140,
+      resizedWidth: 640,
+      resizedHeight: 360,
+    });
+  });
+
+  it("fits tall sources and pads horizontally", () => {
+    expect(getLetterbox(500, 1000, 1024, 1024)).toMatchObject({ scale: 1.024, padX: 256, padY: 0 });
+  });
+});
+
+describe("letterbox", () => {
+  it("centers the resized source on grey padding", async () => {
+    const source = { width: 4, height: 2, data: new Uint8Array(4 * 2 * 4).fill(255) };
+    const [input, transform] = letterbox(source, [1, 8, 8, 3]);
+    const pixels = await input.array();
+    input.dispose();
+
+    expect(transform).toMatchObject({ scale: 2, padX: 0, padY: 2 });
+    expect(pixels[0][0][0][0]).toBeCloseTo(PAD_VALUE / 255); // top padding
+    expect(pixels[0][4][4][0]).toBeCloseTo(1); // image
+    expect(pixels[0][7][7][0]).toBeCloseTo(PAD_VALUE / 255); // bottom padding
+  });
+});
+
+describe("inverse mapping", () => {
+  const transform = getLetterbox(1280, 720, 640, 640); // scale 0.5, padY 140
+
+  it("maps points back to source pixels", () => {
+    expect(toSourcePoint(320, 320, transform)).toEqual([640, 360]);
+  });
+
+  it("clips boxes to the source", () => {
+    expect(toSourceBox([-10, 100, 100, 600], transform)).toEqual([0, 0, 200, 720]);
+  });
+
+  it("keeps oriented box angles", () => {
+    expect(toSourceXYWHR([320, 320, 10, 20, 0.3], transform)).toEqual([640, 360, 20, 40, 0.3]);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseMetadata,
+  normalizeMetadata,
+  resolveInputShape,
+  getPersonClasses,
+} from "../src/utils/metadata";
+
+const yaml = `description: Ultralytics best model trained on /kaggle/input/v4-yaml/data.yaml
+author: Ultralytics
+date: '2025-06-09T20:56:37.066116'
+license: AGPL-3.0 License (https://ultralytics.com/license)
+stride: 32
+task: obb
+imgsz:
+- 1024
+- 768
+names:
+  0: plane
+  1: 'storage tank'
+  2: "tennis court"
+`;
+
+describe("parseMetadata", () => {
+  it("parses the metadata.yaml written by Ultralytics", () => {
+    const metadata = parseMetadata(yaml);
+    expect(metadata).toMatchObject({
+      description: "Ultralytics best model trained on /kaggle/input/v4-yaml/data.yaml",
+      date: "2025-06-09T20:56:37.066116",
+      license: "AGPL-3.0 License (https://ultralytics.com/license)",
+      stride: 32,
+      task: "obb",
+      imgsz: [1024, 768],
+      names: { 0: "plane", 1: "storage tank", 2: "tennis court" },
+    });
+  });
+});
+
+describe("normalizeMetadata", () => {
+  it("orders class names", () => {
+    const { names, imgsz, task } = normalizeMetadata({ names: { 1: "b", 0: "a" }, imgsz: 640 });
+    expect(names).toEqual(["a", "b"]);
+    expect(imgsz).toEqual([640, 640]);
+    expect(task).toBe("detect");
+  });
+
+  it("falls back to defaults and COCO labels", () => {
+    const metadata = normalizeMetadata(null, { task: "obb" });
+    expect(metadata.task).toBe("obb");
+    expect(metadata.names).toHaveLength(80);
+    expect(metadata.names[0]).toBe("person");
+  });
+
+  it("keeps the keypoint shape of pose models", () => {
+    const pose = parseMetadata("task: pose\nkpt_shape:\n- 17\n- 3\nnames:\n  0: person\n");
+    expect(normalizeMetadata(pose).kpt_shape).toEqual([17, 3]);
+    expect(normalizeMetadata({ kpt_shape: 17 }).kpt_shape).toBeNull();
+  });
+});
+
+describe("resolveInputShape", () => {
+  it("replaces dynamic dimensions with imgsz", () => {
+    expect(resolveInputShape([-1, -1, -1, 3], { imgsz: [1024, 768] })).toEqual([1, 1024, 768, 3]);
+    expect(resolveInputShape([1, 640, 640, 3], { imgsz: [1024, 1024] })).toEqual([1, 640, 640, 3]);
+  });
+});
+
+describe("getPersonClasses", () => {
+  it("finds person like labels", () => {
+    expect(getPersonClasses(["Human"])).toEqual([0]);
+    expect(getPersonClasses(["car", "person"])).toEqual([1]);
+    expect(getPersonClasses(["plane", "ship"])).toEqual([]);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { loadManifest } from "../src/utils/models";
+
+const serve = (manifest) => {
+  globalThis.fetch = async () => ({ ok: true, json: async () => manifest });
+};
+
+afterEach(() => {
+  delete globalThis.fetch;
+});
+
+describe("loadManifest", () => {
+  it("keeps the nms threshold of the entry, null uses the task default", async () => {
+    serve({
+      models: [
+        { id: "yolov8n", task: "detect", thresholds: { conf: 0.3, nms: 0.45 } },
+        { id: "yolov8n-obb", task: "obb" },
+      ],
+    });
+    const { models, defaultId } = await loadManifest("models.json");
+
+    expect(defaultId).toBe("yolov8n");
+    expect(models[0].thresholds).toEqual({ conf: 0.3, nms: 0.45 });
+    expect(models[1].thresholds).toEqual({ conf: 0.35, nms: null });
+  });
+
+  it("falls back to the task default for an invalid nms threshold of an entry", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    serve({
+      models: [
+        { id: "yolov8n", thresholds: { nms: 45 } },
+        { id: "yolov8s", thresholds: { nms: 0.5 } },
+      ],
+    });
+    const { models } = await loadManifest("models.json");
+
+    expect(models.map(({ thresholds }) => thresholds.nms)).toEqual([null, 0.5]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  it("keeps any IoU threshold of obb models", async () => {
+    serve({ models: [{ id: "obb", task: "obb", thresholds: { nms: 0.45 } }] });
+    const { models } = await loadManifest("models.json");
+
+    expect(models[0].thresholds.nms).toBe(0.45);
+  });
+});
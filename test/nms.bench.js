@@ -0,0 +1,15 @@
+import { bench, describe } from "vitest";
+import { rotatedNMS } from "../src/utils/nms";
+import { applyNMS, randomBoxes } from "./fixtures/legacyNMS";
+
+describe("rotated nms on 2000 candidates", () => {
+  const boxes = randomBoxes(2000, 7);
+
+  bench("applyNMS (previous)", () => {
+    applyNMS(boxes, 0.1);
+  });
+
+  bench("rotatedNMS", () => {
+    rotatedNMS(boxes, 0.1);
+  });
+});
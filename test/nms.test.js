@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import { convertToCorners } from "../src/utils/geometry";
+import { rotatedNMS } from "../src/utils/nms";
+import { applyNMS, randomBoxes } from "./fixtures/legacyNMS";
+
+describe("rotatedNMS", () => {
+  const box = (cx, score, classId) => ({
+    corners: convertToCorners(cx, 0, 4, 2, 0),
+    score,
+    classId,
+  });
+
+  it("keeps the highest score of overlapping boxes of the same class", () => {
+    const kept = rotatedNMS([box(0, 0.5, 0), box(1, 0.9, 0), box(20, 0.3, 0)], 0.3);
+    expect(kept.map(({ score }) => score)).toEqual([0.9, 0.3]);
+  });
+
+  it("doesn't suppress boxes of other classes", () => {
+    const kept = rotatedNMS([box(0, 0.9, 0), box(0, 0.8, 1)], 0.3);
+    expect(kept).toHaveLength(2);
+  });
+
+  it("suppresses across classes when class agnostic", () => {
+    const kept = rotatedNMS([box(0, 0.9, 0), box(0, 0.8, 1)], 0.3, { classAgnostic: true });
+    expect(kept.map(({ classId }) => classId)).toEqual([0]);
+  });
+
+  it("caps candidates to topK before suppression", () => {
+    const kept = rotatedNMS([box(0, 0.9, 0), box(20, 0.8, 0), box(40, 0.7, 0)], 0.3, { topK: 2 });
+    expect(kept.map(({ score }) => score)).toEqual([0.9, 0.8]);
+  });
+
+  [
+    [200, 1, 0.5],
+    [500, 2, 0.1],
+    [1000, 3, 1e-9],
+  ].forEach(([count, seed, threshold]) => {
+    it(`matches the previous applyNMS on ${count} boxes (iou ${threshold})`, () => {
+      const boxes = randomBoxes(count, seed);
+      expect(rotatedNMS(boxes, threshold, { topK: count })).toEqual(applyNMS(boxes, threshold));
+    });
+  });
+});
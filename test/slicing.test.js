@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { getSlices, toGlobalDetection, mergeDetections } from "../src/utils/slicing";
+import { boxNMS } from "../src/utils/nms";
+
+describe("getSlices", () => {
+  it("covers the source with overlapping tiles, the last ones on the border", () => {
+    expect(getSlices(2000, 1000, 1024, 0.2)).toEqual([[0, 0, 1024, 1000], [819, 0, 1843, 1000], [976, 0, 2000, 1000]]); // prettier-ignore
+  });
+
+  it("uses a single tile for small sources", () => {
+    expect(getSlices(800, 600, 1024, 0.2)).toEqual([[0, 0, 800, 600]]);
+  });
+
+  it("doesn't repeat a tile ending on the border", () => {
+    expect(getSlices(1024, 2048, 1024, 0)).toEqual([[0, 0, 1024, 1024], [0, 1024, 1024, 2048]]); // prettier-ignore
+  });
+});
+
+describe("toGlobalDetection", () => {
+  it("moves boxes, keypoints and masks by the tile offset", () => {
+    const detection = {
+      classId: 0,
+      bbox: [10, 20, 30, 40],
+      keypoints: [[15, 25, 0.9]],
+      mask: { x: 10, y: 20, width: 20, height: 20, data: new Uint8Array(400) },
+    };
+    const global = toGlobalDetection(detection, 100, 200);
+
+    expect(global.bbox).toEqual([110, 220, 130, 240]);
+    expect(global.keypoints).toEqual([[115, 225, 0.9]]);
+    expect(global.mask).toMatchObject({ x: 110, y: 220, width: 20 });
+    expect(detection.bbox).toEqual([10, 20, 30, 40]); // tile detection is untouched
+    expect(toGlobalDetection({ corners: [0, 0, 1, 0, 1, 1, 0, 1] }, 10, 5).corners).toEqual([
+      10, 5, 11, 5, 11, 6, 10, 6,
+    ]);
+  });
+});
+
+describe("mergeDetections", () => {
+  it("merges duplicates of neighbouring tiles per class", () => {
+    const car = (x, score, classId = 0) => ({ classId, score, bbox: [x, 0, x + 20, 10] });
+    const ship = (x, score) => ({ classId: 1, score, corners: [x, 0, x + 20, 0, x + 20, 10, x, 10] });
+    const merged = mergeDetections(
+      [car(0, 0.8), car(1, 0.9), car(1, 0.7, 2), car(50, 0.6), ship(100, 0.5), ship(101, 0.4)],
+      0.5
+    );
+
+    expect(merged.map(({ score }) => score)).toEqual([0.9, 0.7, 0.6, 0.5]);
+  });
+
+  it("keeps boxes below the threshold", () => {
+    const boxes = [
+      { classId: 0, score: 0.9, bbox: [0, 0, 10, 10] },
+      { classId: 0, score: 0.8, bbox: [5, 0, 15, 10] }, // IoU 1/3
+    ];
+    expect(boxNMS(boxes, 0.5)).toHaveLength(2);
+    expect(boxNMS(boxes, 0.3)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { PerfStats } from "../src/utils/stats";
+
+const timings = { preprocess: 2, inference: 10, decode: 4, render: 1 };
+const memory = (numTensors) => ({ numTensors, numBytes: numTensors * 1024 });
+
+describe("PerfStats", () => {
+  it("averages stage latency and computes fps", () => {
+    const stats = new PerfStats();
+    stats.record(timings, memory(100), 0);
+    stats.record({ ...timings, inference: 20 }, memory(100), 50);
+    stats.record(timings, memory(100), 100);
+
+    const snapshot = stats.snapshot();
+    expect(snapshot.frames).toBe(3);
+    expect(snapshot.fps).toBeCloseTo(20);
+    expect(snapshot.timings.inference).toBeCloseTo(40 / 3);
+    expect(snapshot.timings.render).toBe(1);
+    expect(snapshot.memory).toEqual(memory(100));
+    expect(snapshot.leak).toBe(0);
+  });
+
+  it("reports a leak when tensor count grows frame over frame", () => {
+    const stats = new PerfStats();
+    for (let i = 0; i <= 10; i++) stats.record(timings, memory(100 + i * 3), i * 33);
+    expect(stats.snapshot().leak).toBe(30);
+
+    stats.record(timings, memory(130), 400); // stable again
+    expect(stats.snapshot().leak).toBe(0);
+  });
+
+  it("forgets frames on reset", () => {
+    const stats = new PerfStats();
+    stats.record(timings, memory(100), 0);
+    stats.reset();
+
+    expect(stats.snapshot()).toMatchObject({ frames: 0, fps: 0, memory: null, leak: 0 });
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from "vitest";
+import { Tracker } from "../src/utils/tracker";
+import { convertToCorners } from "../src/utils/geometry";
+
+const box = (x, score = 0.9, classId = 0) => ({
+  classId,
+  label: "person",
+  score,
+  bbox: [x, 0, x + 20, 40],
+});
+
+describe("Tracker", () => {
+  it("keeps ids of moving objects and exposes age and trajectory", () => {
+    const tracker = new Tracker();
+    let tracks;
+    for (let frame = 0; frame < 5; frame++) {
+      tracks = tracker.update([box(frame * 4), box(200 - frame * 4)]);
+    }
+
+    expect(tracks.map((track) => track.trackId).sort()).toEqual([1, 2]);
+    const first = tracks.find((track) => track.trackId === 1);
+    expect(first.age).toBe(5);
+    expect(first.trajectory).toHaveLength(5);
+    expect(first.trajectory[4]).toEqual([26, 20]);
+  });
+
+  it("keeps tracks alive with low score detections and through short misses", () => {
+    const tracker = new Tracker({ maxAge: 2 });
+    for (let frame = 0; frame < 3; frame++) tracker.update([box(frame * 5)]);
+
+    expect(tracker.update([box(15, 0.2)])[0].trackId).toBe(1); // low score, second association
+    expect(tracker.update([])).toHaveLength(0); // missed
+    expect(tracker.update([box(25)])[0].trackId).toBe(1); // predicted motion still matches
+
+    tracker.update([]);
+    tracker.update([]);
+    tracker.update([]);
+    expect(tracker.tracks).toHaveLength(0); // lost for longer than maxAge
+  });
+
+  it("reports new tracks only after minHits once running", () => {
+    const tracker = new Tracker();
+    for (let frame = 0; frame < 4; frame++) tracker.update([box(0)]);
+
+    const ids = () => tracker.update([box(0), box(300)]).map((detection) => detection.trackId);
+    expect(ids()).toEqual([1, undefined]); // unconfirmed detection still reported, without id
+    ids();
+    expect(ids()).toEqual([1, 2]);
+  });
+
+  it("passes unmatched low score detections through", () => {
+    const tracker = new Tracker();
+    tracker.update([box(0)]);
+
+    const detections = tracker.update([box(0), box(300, 0.4)]);
+    expect(detections).toHaveLength(2);
+    expect(detections[1].trackId).toBeUndefined();
+  });
+
+  it("takes the confident score from the given threshold", () => {
+    const tracker = new Tracker();
+    tracker.update([box(0, 0.4)], 0.35);
+    expect(tracker.tracks).toHaveLength(1);
+  });
+
+  it("doesn't start tracks from low score detections or match other classes", () => {
+    const tracker = new Tracker();
+    tracker.update([box(0, 0.3)]);
+    expect(tracker.tracks).toHaveLength(0);
+
+    tracker.update([box(0)]);
+    tracker.update([box(0, 0.9, 1)]);
+    expect(tracker.tracks.map((track) => track.id)).toEqual([1, 2]);
+  });
+
+  it("tracks rotated boxes", () => {
+    const tracker = new Tracker();
+    const obb = (cx) => ({
+      classId: 0,
+      label: "plane",
+      score: 0.9,
+      corners: convertToCorners(cx, 50, 40, 10, 0.5),
+    });
+    let tracks;
+    for (let frame = 0; frame < 4; frame++) tracks = tracker.update([obb(100 + frame * 3)]);
+
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0].trackId).toBe(1);
+    expect(tracks[0].trajectory[3][0]).toBeCloseTo(109);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from "vitest";
+import { restoreDetection, weightedBoxFusion, fuseDetections } from "../src/utils/tta";
+import { convertToCorners } from "../src/utils/geometry";
+
+const expectCloseTo = (actual, expected) =>
+  expected.forEach((value, i) => expect(actual[i]).toBeCloseTo(value, 6));
+
+describe("restoreDetection", () => {
+  it("maps boxes of scaled and flipped passes back to source pixels", () => {
+    const detection = { classId: 0, score: 0.9, bbox: [10, 20, 30, 40] };
+
+    expect(restoreDetection(detection, { scale: 0.5, flip: false }, 200).bbox).toEqual([20, 40, 60, 80]); // prettier-ignore
+    expect(restoreDetection(detection, { scale: 0.5, flip: true }, 200).bbox).toEqual([140, 40, 180, 80]); // prettier-ignore
+    expect(detection.bbox).toEqual([10, 20, 30, 40]); // pass detection is untouched
+  });
+
+  it("mirrors oriented box angles under flip", () => {
+    const angle = Math.PI / 6;
+    const detection = { classId: 0, score: 0.9, corners: convertToCorners(50, 40, 20, 10, angle), angle }; // prettier-ignore
+    const restored = restoreDetection(detection, { scale: 0.5, flip: true }, 200);
+
+    expect(restored.angle).toBeCloseTo(-angle, 6);
+    expectCloseTo(restored.corners, convertToCorners(100, 80, 40, 20, -angle));
+  });
+
+  it("flips keypoints and swaps left and right COCO keypoints", () => {
+    const keypoints = Array.from({ length: 17 }, (_, k) => [k, k, 0.5]);
+    const restored = restoreDetection({ bbox: [0, 0, 20, 20], keypoints }, { scale: 1, flip: true }, 100); // prettier-ignore
+
+    expect(restored.keypoints[0]).toEqual([100, 0, 0.5]); // nose stays
+    expect(restored.keypoints[1]).toEqual([98, 2, 0.5]); // left eye <= right eye
+    expect(restored.keypoints[2]).toEqual([99, 1, 0.5]);
+  });
+});
+
+describe("weightedBoxFusion", () => {
+  it("averages overlapping boxes of the same class by score", () => {
+    const fused = weightedBoxFusion(
+      [
+        { classId: 0, score: 0.9, bbox: [0, 0, 10, 10] },
+        { classId: 0, score: 0.3, bbox: [2, 0, 12, 10] },
+        { classId: 1, score: 0.6, bbox: [0, 0, 10, 10] },
+      ],
+      0.55,
+      2
+    );
+
+    expect(fused).toHaveLength(2);
+    expectCloseTo(fused[0].bbox, [0.5, 0, 10.5, 10]);
+    expect(fused[0].score).toBeCloseTo(0.6, 6);
+    expect(fused[1]).toMatchObject({ classId: 1, score: 0.3 }); // found by one of two passes
+  });
+
+  it("keeps the corners of the best oriented box", () => {
+    const corners = convertToCorners(50, 50, 20, 10, 0.3);
+    const fused = weightedBoxFusion(
+      [
+        { classId: 0, score: 0.5, corners: convertToCorners(51, 50, 20, 10, 0.3), angle: 0.3 },
+        { classId: 0, score: 0.8, corners, angle: 0.3 },
+      ],
+      0.55,
+      2
+    );
+
+    expect(fused).toHaveLength(1);
+    expect(fused[0].corners).toBe(corners);
+    expect(fused[0].score).toBeCloseTo(0.65, 6);
+  });
+});
+
+describe("fuseDetections", () => {
+  it("keeps the best of overlapping boxes with NMS", () => {
+    const fused = fuseDetections(
+      [
+        { classId: 0, score: 0.3, bbox: [2, 0, 12, 10] },
+        { classId: 0, score: 0.9, bbox: [0, 0, 10, 10] },
+      ],
+      { method: "nms", iouThreshold: 0.55 },
+      2
+    );
+
+    expect(fused).toEqual([{ classId: 0, score: 0.9, bbox: [0, 0, 10, 10] }]);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { WorkerModel } from "../src/utils/workerModel";
+
+class FakeWorker {
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.messages = [];
+    this.terminated = false;
+  }
+
+  postMessage = (message, transfer) => this.messages.push({ message, transfer });
+
+  terminate = () => {
+    this.terminated = true;
+  };
+
+  reply = (data) => this.onmessage({ data });
+}
+
+beforeEach(() => {
+  globalThis.Worker = FakeWorker;
+  globalThis.createImageBitmap = async (source) => ({ source, close: () => {} });
+});
+
+describe("WorkerModel", () => {
+  it("loads model in the worker reporting progress", async () => {
+    const model = new WorkerModel();
+    const onProgress = vi.fn();
+    const loading = model.load(
+      { url: "model.json" },
+      { onProgress, defaults: { task: "obb" }, backend: "wasm" }
+    );
+
+    const { message } = model.worker.messages[0];
+    expect(message).toMatchObject({ type: "load", source: { url: "model.json" } });
+    expect(message).toMatchObject({ defaults: { task: "obb" }, backend: "wasm" });
+
+    model.worker.reply({ id: message.id, progress: 0.5 });
+    const metadata = { task: "obb", names: ["plane"] };
+    const result = { metadata, inputShape: [1, 640, 640, 3], backend: "wasm" };
+    model.worker.reply({ id: message.id, result });
+
+    await expect(loading).resolves.toEqual({ net: model, ...result });
+    expect(onProgress).toHaveBeenCalledWith(0.5);
+  });
+
+  it("transfers frames and resolves results by request id", async () => {
+    const model = new WorkerModel();
+    const first = model.predict({ width: 10 }, { confThreshold: 0.5 });
+    const second = model.predict({ width: 20 });
+    await new Promise((resolve) => setTimeout(resolve)); // wait for bitmaps
+
+    const [a, b] = model.worker.messages;
+    expect(a.transfer).toEqual([a.message.frame]);
+    expect(a.message.options).toEqual({ confThreshold: 0.5 });
+
+    model.worker.reply({ id: b.message.id, result: { detections: [], width: 20, height: 20 } });
+    model.worker.reply({ id: a.message.id, error: "Model is not loaded" });
+
+    await expect(second).resolves.toMatchObject({ width: 20 });
+    await expect(first).rejects.toThrow("Model is not loaded");
+  });
+
+  it("rejects pending requests when disposed", async () => {
+    const model = new WorkerModel();
+    const loading = model.load({ url: "model.json" });
+    model.dispose();
+
+    await expect(loading).rejects.toThrow("disposed");
+    expect(model.worker.terminated).toBe(true);
+  });
+});
@@ -5,7 +5,13 @@ import react from "@vitejs/plugin-react";
 export default defineConfig({
   plugins: [react()],
   build: {
-    chunkSizeWarningLimit: 2000, // handle warning on vendor.js bundle size
+    chunkSizeWarningLimit: 3000, // handle warning on vendor.js bundle size
   },
   base: "./",
+  test: {
+    include: ["test/**/*.test.js"],
+    deps: {
+      inline: ["@tensorflow/tfjs-backend-wasm"], // let vite resolve the `?url` wasm imports
+    },
+  },
 });